@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const QRCode = require('qrcode');
+const { loadConfig } = require('../lib/config');
+const { logger } = require('../lib/logger');
+const { createAuthStateBackend } = require('../lib/auth-state');
+const { createVersionResolver } = require('../lib/baileys-version');
+const { createSessionManager } = require('../lib/session-manager');
+const { readCodeLog } = require('../lib/code-store');
+const { createCodeGenerator } = require('../lib/code-generator');
+const { createTenantDirectory, DEFAULT_TENANT_ID } = require('../lib/tenants');
+const { encodeSessionString, parseSessionString, decodeSessionString } = require('../lib/session-string');
+const PhoneNumber = require('../lib/phone-number');
+
+// ==================== PAIRING CLI ====================
+// Headless counterpart of the web page and admin dashboard. It reads the
+// same configuration as server.js (config file + env) and works directly on
+// the same stores, so run it on the host that owns SESSIONS_DIR and
+// CODE_STORE_FILE. Sessions started here live in this process only. The
+// code store is only ever read: pending codes and their sockets belong to
+// the running server, so they are revoked through its admin API.
+const USAGE = `Usage: pairing-cli <command> [options]
+
+Commands:
+  code <phone>                  Get a pairing code and wait for the device to link
+  qr <phone>                    Print the QR in the terminal and wait for the device to link
+  codes list [--status <s>]     List pairing codes in the code store
+  codes revoke <code>           Revoke a pending code on the running server (needs ADMIN_TOKEN)
+  sessions list                 List sessions with saved auth state
+  session export <sessionId>    Print the session string for saved auth state
+  session import <string>       Restore a session string into the auth state backend
+  session wipe <sessionId>      Delete a session's saved auth state
+
+Options:
+  --country <ISO>      Country for numbers without a + prefix (default: DEFAULT_COUNTRY)
+  --session-id <id>    Session id to import into (default: a new id)
+  --tenant <id>        Pair, export or list codes as one of TENANTS (default: the default tenant)
+  --server <url>       Running server for codes revoke (default: http://127.0.0.1:<PORT>)
+  --json               Print machine-readable JSON instead of text
+  --verbose            Show application logs
+  -h, --help           Show this help`;
+
+let parsed;
+try {
+  parsed = parseArgs({
+    allowPositionals: true,
+    options: {
+      country: { type: 'string' },
+      status: { type: 'string' },
+      'session-id': { type: 'string' },
+      tenant: { type: 'string' },
+      server: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+} catch (error) {
+  console.error(`Error: ${error.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+const { values: options, positionals } = parsed;
+
+function cliError(message, exitCode = 1) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
+
+// One JSON document per result with --json, readable lines otherwise
+function output(data, text) {
+  console.log(options.json ? JSON.stringify(data, null, 2) : text);
+}
+
+let CONFIG;
+function config() {
+  if (!CONFIG) {
+    CONFIG = loadConfig({ baseDir: path.join(__dirname, '..') });
+    logger.level = options.verbose ? CONFIG.LOG_LEVEL : 'silent';
+  }
+  return CONFIG;
+}
+
+let authBackend;
+function auth() {
+  if (!authBackend) {
+    authBackend = createAuthStateBackend({
+      type: config().AUTH_STATE_BACKEND,
+      dir: config().SESSIONS_DIR,
+      file: config().AUTH_STATE_FILE,
+      secret: config().AUTH_STATE_SECRET
+    });
+  }
+  return authBackend;
+}
+
+// Read-only: the server compacts and rewrites this file
+function codeLog() {
+  if (config().CODE_STORE !== 'file') {
+    throw cliError('CODE_STORE is "memory"; codes only exist inside the running server');
+  }
+  return readCodeLog(config().CODE_STORE_FILE);
+}
+
+// Calls the running server's admin API with ADMIN_TOKEN
+async function adminRequest(method, urlPath) {
+  if (!config().ADMIN_TOKEN) {
+    throw cliError('ADMIN_TOKEN must be set to make changes on the running server');
+  }
+  const base = options.server || `http://127.0.0.1:${config().PORT}`;
+  let response;
+  try {
+    response = await fetch(new URL(`/admin${urlPath}`, base), {
+      method,
+      headers: { Authorization: `Bearer ${config().ADMIN_TOKEN}` }
+    });
+  } catch (error) {
+    throw cliError(`Could not reach the server at ${base} (${(error.cause || error).message}); pending codes only exist while it runs`);
+  }
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw cliError(body.message || `Server answered ${response.status}`);
+  }
+  return body;
+}
+
+// Same settings as the server, so typed codes normalize the same way
+function codeGenerator(isTaken) {
+  return createCodeGenerator({
+    alphabet: config().CODE_ALPHABET,
+    length: config().CODE_LENGTH,
+    groupSize: config().CODE_GROUP_SIZE,
+    separator: config().CODE_SEPARATOR,
+    checkChar: config().CODE_CHECK_CHAR,
+    isTaken
+  });
+}
+
+// Session strings carry the tenant's prefix, as they do from the server
+function tenant() {
+  const directory = createTenantDirectory(config());
+  if (!options.tenant) return directory.defaultTenant;
+  const found = directory.get(options.tenant);
+  if (!found) throw cliError(`Unknown tenant: ${options.tenant}`, 2);
+  return found;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString() : '-';
+}
+
+// ==================== PAIRING ====================
+// Opens a socket the same way the server does and stays attached until the
+// device links (printing the session string) or the session ends.
+function pair(phoneInput, mode) {
+  const phone = PhoneNumber.parse(phoneInput, options.country || config().DEFAULT_COUNTRY);
+  if (!phone.valid) {
+    throw cliError(phone.error.message, 2);
+  }
+
+  const sessions = createSessionManager({
+    authBackend: auth(),
+    maxSessions: 1,
+    expiryMs: config().CODE_EXPIRY_MINUTES * 60 * 1000,
+    socketOptions: config().SOCKET_OPTIONS,
+    reconnect: {
+      baseDelayMs: config().RECONNECT_BASE_DELAY_MS,
+      maxDelayMs: config().RECONNECT_MAX_DELAY_MS,
+      maxAttempts: config().RECONNECT_MAX_ATTEMPTS
+    },
+    versionResolver: createVersionResolver({
+      pinned: config().BAILEYS_VERSION,
+      cacheFile: config().BAILEYS_VERSION_CACHE_FILE
+    }),
+    baileysLogLevel: config().BAILEYS_LOG_LEVEL,
+    generatePairingCode: codeGenerator().generate
+  });
+  const { id: tenantId, sessionPrefix } = tenant();
+  const sessionId = `${sessionPrefix}_${Date.now()}_${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+  return new Promise((resolve, reject) => {
+    sessions.on('code', (session) => {
+      const displayCode = codeGenerator().format(session.pairingCode);
+      output(
+        { event: 'code', sessionId, phoneNumber: phone.e164, code: session.pairingCode, displayCode, expiresAt: session.expiresAt },
+        `Pairing code for ${phone.e164}: ${displayCode}\n` +
+        `Enter it in WhatsApp > Linked devices > Link with phone number (expires ${formatDate(session.expiresAt)})`
+      );
+    });
+
+    sessions.on('qr', async (session) => {
+      if (options.json) {
+        output({ event: 'qr', sessionId, qr: session.qr, expiresAt: session.expiresAt });
+        return;
+      }
+      const ascii = await QRCode.toString(session.qr, { type: 'terminal', small: true });
+      console.log(`${ascii}\nScan with WhatsApp > Linked devices > Link a device (QR refreshes automatically)`);
+    });
+
+    sessions.on('linked', async (session) => {
+      try {
+        await session.saveCreds();
+        const sessionString = encodeSessionString(await auth().readAll(sessionId), sessionPrefix);
+        output(
+          { event: 'linked', sessionId, linkedTo: session.linkedTo, sessionString },
+          `Linked to ${session.linkedTo}\n\nSESSION_ID:\n${sessionString}`
+        );
+        sessions.destroy(sessionId, 'delivered');
+        resolve();
+      } catch (error) {
+        sessions.destroy(sessionId, 'error');
+        reject(error);
+      }
+    });
+
+    sessions.on('closed', (session, reason) => {
+      if (reason !== 'delivered') {
+        reject(cliError(`Session ended before linking (${reason})`));
+      }
+    });
+
+    sessions.create({ sessionId, phoneNumber: phone.e164, mode, tenant: tenantId }).catch(reject);
+
+    process.once('SIGINT', () => sessions.destroy(sessionId, 'cancelled'));
+  });
+}
+
+// ==================== COMMANDS ====================
+const commands = {
+  code: ([phone]) => {
+    if (!phone) throw cliError('code needs a phone number', 2);
+    return pair(phone, 'code');
+  },
+
+  qr: ([phone]) => {
+    if (!phone) throw cliError('qr needs a phone number', 2);
+    return pair(phone, 'qr');
+  },
+
+  'codes list': () => {
+    const codes = codeLog().values()
+      .filter(entry => !options.status || entry.status === options.status)
+      .filter(entry => !options.tenant || (entry.tenant || DEFAULT_TENANT_ID) === tenant().id)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    output(
+      { codes },
+      codes.length
+        ? codes.map(entry => [entry.code, entry.status.padEnd(8), entry.phoneNumber, formatDate(entry.createdAt), formatDate(entry.expiresAt)].join('  ')).join('\n')
+        : 'No pairing codes'
+    );
+  },
+
+  'codes revoke': async ([code]) => {
+    if (!code) throw cliError('codes revoke needs a code', 2);
+    const { code: entry } = await adminRequest('DELETE', `/api/codes/${encodeURIComponent(codeGenerator().normalize(code))}`);
+    output(
+      { revoked: entry.code, sessionId: entry.sessionId },
+      `Revoked ${entry.code} and closed its session ${entry.sessionId}`
+    );
+  },
+
+  'sessions list': async () => {
+    const sessions = [];
+    for (const sessionId of await auth().list()) {
+      const documents = await auth().readAll(sessionId);
+      let creds = null;
+      try {
+        creds = documents['creds.json'] ? JSON.parse(documents['creds.json']) : null;
+      } catch (error) {
+        // Listed as unreadable below
+      }
+      sessions.push({
+        sessionId,
+        registered: Boolean(creds && creds.registered),
+        account: creds && creds.me ? creds.me.id : null,
+        documents: Object.keys(documents).length
+      });
+    }
+    output(
+      { backend: config().AUTH_STATE_BACKEND, sessions },
+      sessions.length
+        ? sessions.map(s => `${s.sessionId}  ${s.account || (s.registered ? 'registered' : 'not linked')}  (${s.documents} files)`).join('\n')
+        : 'No saved sessions'
+    );
+  },
+
+  'session export': async ([sessionId]) => {
+    if (!sessionId) throw cliError('session export needs a session id', 2);
+    const sessionString = encodeSessionString(await auth().readAll(sessionId), tenant().sessionPrefix);
+    output({ sessionId, sessionString }, sessionString);
+  },
+
+  // Accepts strings issued under any prefix, e.g. before SESSION_PREFIX changed
+  'session import': async ([sessionString]) => {
+    if (!sessionString) throw cliError('session import needs a session string', 2);
+    const { prefix } = parseSessionString(sessionString);
+    const sessionId = options['session-id'] || `${prefix}_import_${Date.now()}`;
+    const files = await decodeSessionString(sessionString, auth(), sessionId);
+    output({ sessionId, files }, `Imported ${files.length} file(s) into ${sessionId}`);
+  },
+
+  'session wipe': async ([sessionId]) => {
+    if (!sessionId) throw cliError('session wipe needs a session id', 2);
+    await auth().clear(sessionId);
+    output({ wiped: sessionId }, `Wiped the auth state of ${sessionId}`);
+  }
+};
+
+async function main() {
+  if (options.help || !positionals.length) {
+    console.log(USAGE);
+    return;
+  }
+
+  const [first, second, ...rest] = positionals;
+  let command = commands[`${first} ${second}`];
+  let args = rest;
+  if (!command) {
+    command = commands[first];
+    args = positionals.slice(1);
+  }
+  if (!command) {
+    throw cliError(`Unknown command: ${positionals.join(' ')}\n\n${USAGE}`, 2);
+  }
+
+  await command(args);
+  if (authBackend) await authBackend.close();
+}
+
+main().then(
+  () => process.exit(0),
+  (error) => {
+    if (options.json) {
+      console.log(JSON.stringify({ error: { message: error.message, code: error.code || null } }, null, 2));
+    } else {
+      console.error(`Error: ${error.message}`);
+    }
+    process.exit(error.exitCode || 1);
+  }
+);
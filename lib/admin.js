@@ -0,0 +1,445 @@
+const express = require('express');
+const crypto = require('crypto');
+const { escapeHtml } = require('./template');
+const { LEVELS } = require('./logger');
+const { DEFAULT_TENANT_ID } = require('./tenants');
+
+// ==================== ADMIN AUTHENTICATION ====================
+// The admin token can be sent as `Authorization: Bearer <token>`, as
+// `X-Admin-Token: <token>`, or as the password of HTTP Basic auth (any
+// username) so the browser's login prompt works for the dashboard.
+// Browsers resend Basic credentials to any request for the site, including
+// ones another site triggers, so with Basic auth only GET and HEAD work
+// unless the request also carries the dashboard's X-CSRF-Token.
+const SAFE_METHODS = ['GET', 'HEAD'];
+
+function readAdminCredential(req) {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return { value: header.slice(7).trim(), scheme: 'bearer' };
+  }
+  if (header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    return { value: decoded.slice(decoded.indexOf(':') + 1), scheme: 'basic' };
+  }
+  const value = req.get('x-admin-token');
+  return value ? { value, scheme: 'header' } : null;
+}
+
+// Derived from the admin token, so it only reaches pages served to the admin
+function csrfToken(token) {
+  return crypto.createHmac('sha256', token).update('admin-csrf').digest('hex');
+}
+
+function safeEqual(a, b) {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+function requireAdmin(token) {
+  return (req, res, next) => {
+    if (!token) {
+      return res.status(503).json({ success: false, message: 'Admin access is disabled. Set ADMIN_TOKEN to enable it.' });
+    }
+
+    const credential = readAdminCredential(req);
+    if (credential && safeEqual(credential.value, token)) {
+      if (credential.scheme !== 'basic' || SAFE_METHODS.includes(req.method) ||
+          safeEqual(req.get('x-csrf-token') || '', csrfToken(token))) {
+        return next();
+      }
+      return res.status(403).json({ success: false, message: 'Changes made with Basic auth need the dashboard\'s X-CSRF-Token' });
+    }
+
+    res.set('WWW-Authenticate', 'Basic realm="Pairing Admin", charset="UTF-8"');
+    res.status(401).json({ success: false, message: 'Admin authentication required' });
+  };
+}
+
+// ==================== ADMIN API ====================
+const AUDIT_QUERY_LIMIT = 1000;
+const AUDIT_CSV_FIELDS = ['seq', 'at', 'event', 'outcome', 'ip', 'phoneHash', 'sessionId', 'tenant', 'actor', 'details', 'prevHash', 'hash'];
+
+// ?from=&to= (ISO dates or epoch ms), phone=, sessionId=, event=, tenant=
+function readAuditFilters(query) {
+  const filters = {};
+  for (const field of ['from', 'to']) {
+    if (!query[field]) continue;
+    const date = /^\d+$/.test(query[field]) ? new Date(Number(query[field])) : new Date(query[field]);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`${field} must be an ISO date or epoch milliseconds`);
+    }
+    filters[field] = date;
+  }
+  for (const field of ['phone', 'sessionId', 'event', 'tenant']) {
+    if (typeof query[field] === 'string' && query[field]) filters[field] = query[field];
+  }
+  return filters;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serializeCode(entry) {
+  return {
+    code: entry.code,
+    phoneNumber: entry.phoneNumber,
+    sessionId: entry.sessionId,
+    tenant: entry.tenant || DEFAULT_TENANT_ID,
+    status: entry.status,
+    createdAt: entry.createdAt,
+    linkedAt: entry.linkedAt,
+    expiresAt: entry.expiresAt
+  };
+}
+
+// `normalizeCode` turns a code as typed (e.g. abcd-efgh) into its stored form.
+// The admin sees every tenant (lib/tenants.js); `usage` holds their counters.
+// Every change made here is written to `audit` (lib/audit-log.js).
+function createAdminRouter({
+  token,
+  companyName,
+  pairingCodes,
+  normalizeCode = code => code,
+  sessions,
+  tenants,
+  usage,
+  webhooks,
+  audit
+}) {
+  const router = express.Router();
+  router.use(requireAdmin(token));
+
+  function auditAction(req, action, fields = {}) {
+    const { phoneNumber = null, sessionId = null, tenant = null, ...details } = fields;
+    audit.record({
+      event: 'admin.action',
+      outcome: 'success',
+      ip: req.ip,
+      phoneNumber,
+      sessionId,
+      tenant,
+      actor: 'admin',
+      details: { action, ...details }
+    });
+  }
+
+  router.get('/', (req, res) => {
+    res.send(renderDashboard(companyName, csrfToken(token)));
+  });
+
+  router.get('/api/codes', (req, res) => {
+    const codes = pairingCodes.values()
+      .map(serializeCode)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    res.json({ success: true, codes });
+  });
+
+  router.get('/api/sessions', (req, res) => {
+    res.json({ success: true, sessions: sessions.list() });
+  });
+
+  router.get('/api/tenants', (req, res) => {
+    const active = sessions.list();
+    res.json({
+      success: true,
+      tenants: tenants.list().map(tenant => ({
+        id: tenant.id,
+        name: tenant.name,
+        basePath: tenant.basePath || '/',
+        hosts: tenant.hosts,
+        sessionPrefix: tenant.sessionPrefix,
+        sessions: active.filter(session => (session.tenant || DEFAULT_TENANT_ID) === tenant.id).length,
+        usage: usage.report(tenant)
+      }))
+    });
+  });
+
+  router.get('/api/sessions/:sessionId', (req, res) => {
+    const session = sessions.get(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    res.json({ success: true, session });
+  });
+
+  // Revoking a code also tears down the socket that is waiting for it; codes
+  // that were already used or have expired are left as they are
+  router.delete('/api/codes/:code', (req, res) => {
+    const entry = pairingCodes.get(normalizeCode(req.params.code));
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Code not found' });
+    }
+    if (entry.status !== 'pending') {
+      return res.status(409).json({ success: false, message: `Code is ${entry.status}, only pending codes can be revoked` });
+    }
+
+    pairingCodes.update(entry.code, { status: 'revoked' });
+    sessions.destroy(entry.sessionId, 'revoked');
+    auditAction(req, 'revoke_code', {
+      phoneNumber: entry.phoneNumber,
+      sessionId: entry.sessionId,
+      tenant: entry.tenant || DEFAULT_TENANT_ID
+    });
+    req.log.info({ code: entry.code, sessionId: entry.sessionId }, 'Admin revoked code');
+    res.json({ success: true, code: serializeCode(entry) });
+  });
+
+  router.post('/api/sessions/:sessionId/logout', async (req, res) => {
+    const session = sessions.get(req.params.sessionId);
+    const loggedOut = await sessions.logout(req.params.sessionId);
+    if (!loggedOut) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    auditAction(req, 'logout_session', {
+      phoneNumber: session.phoneNumber,
+      sessionId: session.sessionId,
+      tenant: session.tenant || DEFAULT_TENANT_ID
+    });
+    req.log.info({ sessionId: req.params.sessionId }, 'Admin logged out session');
+    res.json({ success: true, message: 'Session logged out' });
+  });
+
+  // Turns a session's Baileys socket logs up (or back to silent) for debugging
+  router.post('/api/sessions/:sessionId/baileys-log-level', (req, res) => {
+    const level = req.body && req.body.level;
+    if (!LEVELS.includes(level)) {
+      return res.status(400).json({ success: false, message: `level must be one of ${LEVELS.join(', ')}` });
+    }
+    if (!sessions.setBaileysLogLevel(req.params.sessionId, level)) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    auditAction(req, 'set_baileys_log_level', { sessionId: req.params.sessionId, level });
+    res.json({ success: true, level });
+  });
+
+  router.post('/api/purge', (req, res) => {
+    const now = Date.now();
+    let purged = 0;
+    for (const entry of pairingCodes.values()) {
+      const finished = entry.status === 'expired' || entry.status === 'revoked';
+      if (finished || (entry.expiresAt && entry.expiresAt.getTime() <= now)) {
+        pairingCodes.delete(entry.code);
+        purged++;
+      }
+    }
+    auditAction(req, 'purge_codes', { purged });
+    req.log.info({ purged }, 'Admin purged expired codes');
+    res.json({ success: true, purged });
+  });
+
+  router.get('/api/webhooks', (req, res) => {
+    res.json({ success: true, endpoints: webhooks.endpoints(), deadLetters: webhooks.deadLetters() });
+  });
+
+  // Delivery (with its own retries) continues in the background
+  router.post('/api/webhooks/dead-letters/:id/replay', (req, res) => {
+    let delivery;
+    try {
+      delivery = webhooks.replay(req.params.id);
+    } catch (error) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Dead letter not found' });
+    }
+    auditAction(req, 'replay_webhook', { letterId: req.params.id });
+    req.log.info({ letterId: req.params.id }, 'Admin replayed webhook dead letter');
+    res.status(202).json({ success: true, message: 'Replay started' });
+  });
+
+  // ==================== AUDIT LOG ====================
+  // Oldest first, up to `limit`; `truncated` means there were more, so
+  // narrow the filters or use the export
+  router.get('/api/audit', async (req, res) => {
+    let filters;
+    try {
+      filters = readAuditFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || AUDIT_QUERY_LIMIT, AUDIT_QUERY_LIMIT);
+
+    try {
+      const { entries, truncated } = await audit.query(filters, { limit });
+      res.json({ success: true, entries, count: entries.length, truncated });
+    } catch (error) {
+      req.log.error({ err: error }, 'Audit log query failed');
+      res.status(500).json({ success: false, message: 'Could not read the audit log' });
+    }
+  });
+
+  // Every match, as JSON lines (with their hashes, so a contiguous export
+  // can be checked against the chain) or as CSV
+  router.get('/api/audit/export', async (req, res) => {
+    let filters;
+    try {
+      filters = readAuditFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    const csv = req.query.format === 'csv';
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+
+    res.type(csv ? 'text/csv' : 'application/x-ndjson');
+    res.attachment(`audit-log-${stamp}.${csv ? 'csv' : 'jsonl'}`);
+    if (csv) res.write(AUDIT_CSV_FIELDS.join(',') + '\n');
+    try {
+      for await (const entry of audit.matching(filters)) {
+        res.write(csv
+          ? AUDIT_CSV_FIELDS.map(field => csvCell(entry[field])).join(',') + '\n'
+          : JSON.stringify(entry) + '\n');
+      }
+    } catch (error) {
+      req.log.error({ err: error }, 'Audit log export failed');
+    }
+    res.end();
+  });
+
+  router.get('/api/audit/verify', async (req, res) => {
+    try {
+      res.json({ success: true, ...await audit.verify() });
+    } catch (error) {
+      req.log.error({ err: error }, 'Audit log verification failed');
+      res.status(500).json({ success: false, message: 'Could not read the audit log' });
+    }
+  });
+
+  return router;
+}
+
+// ==================== ADMIN DASHBOARD ====================
+function renderDashboard(companyName, csrf) {
+  return `
+  <!DOCTYPE html>
+  <html>
+  <head>
+      <title>${escapeHtml(companyName)} Pairing Admin</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <style>
+          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 30px; background: #f4f6f8; color: #333; }
+          h1 { color: #075E54; margin-top: 0; }
+          h2 { color: #128C7E; margin-top: 35px; }
+          table { width: 100%; border-collapse: collapse; background: white; border-radius: 12px; overflow: hidden; box-shadow: 0 5px 20px rgba(0,0,0,0.08); }
+          th, td { padding: 10px 14px; text-align: left; font-size: 14px; border-bottom: 1px solid #eee; }
+          th { background: #075E54; color: white; font-weight: 600; }
+          code { font-family: 'Courier New', monospace; font-weight: 700; }
+          button { padding: 6px 14px; border-radius: 20px; border: none; cursor: pointer; font-weight: 600; color: white; background: #ff6b6b; }
+          .toolbar { display: flex; gap: 10px; margin-bottom: 15px; }
+          .toolbar button { background: #128C7E; padding: 10px 20px; }
+          .empty { color: #888; font-style: italic; }
+      </style>
+  </head>
+  <body>
+      <h1>${escapeHtml(companyName)} Pairing Admin</h1>
+      <div class="toolbar">
+          <button onclick="refresh()">🔄 Refresh</button>
+          <button onclick="purge()">🧹 Purge expired codes</button>
+      </div>
+
+      <h2>Sessions</h2>
+      <table>
+          <thead><tr><th>Session</th><th>Phone</th><th>Mode</th><th>Status</th><th>Created</th><th>Linked</th><th>Expires</th><th></th></tr></thead>
+          <tbody id="sessions"></tbody>
+      </table>
+
+      <h2>Pairing Codes</h2>
+      <table>
+          <thead><tr><th>Code</th><th>Phone</th><th>Status</th><th>Created</th><th>Linked</th><th>Expires</th><th></th></tr></thead>
+          <tbody id="codes"></tbody>
+      </table>
+
+      <script>
+          function formatDate(value) {
+              return value ? new Date(value).toLocaleString() : '-';
+          }
+
+          function renderRows(tbodyId, items, columns, action) {
+              const tbody = document.getElementById(tbodyId);
+              tbody.innerHTML = '';
+              if (!items.length) {
+                  const row = tbody.insertRow();
+                  const cell = row.insertCell();
+                  cell.colSpan = columns.length + 1;
+                  cell.className = 'empty';
+                  cell.textContent = 'Nothing here yet';
+                  return;
+              }
+              items.forEach(function(item) {
+                  const row = tbody.insertRow();
+                  columns.forEach(function(column) {
+                      row.insertCell().textContent = column(item);
+                  });
+                  const cell = row.insertCell();
+                  if (action && action.show(item)) {
+                      const button = document.createElement('button');
+                      button.textContent = action.label;
+                      button.onclick = function() { action.run(item); };
+                      cell.appendChild(button);
+                  }
+              });
+          }
+
+          const CSRF_TOKEN = ${JSON.stringify(csrf)};
+
+          async function api(method, url) {
+              const response = await fetch(url, {
+                  method: method,
+                  credentials: 'same-origin',
+                  headers: { 'X-CSRF-Token': CSRF_TOKEN }
+              });
+              return response.json();
+          }
+
+          async function refresh() {
+              const [sessionData, codeData] = await Promise.all([
+                  api('GET', '/admin/api/sessions'),
+                  api('GET', '/admin/api/codes')
+              ]);
+
+              renderRows('sessions', sessionData.sessions, [
+                  s => s.sessionId, s => s.phoneNumber, s => s.mode, s => s.status,
+                  s => formatDate(s.createdAt), s => formatDate(s.linkedAt), s => formatDate(s.expiresAt)
+              ], {
+                  label: 'Force logout',
+                  show: () => true,
+                  run: async s => {
+                      if (!confirm('Log out ' + s.phoneNumber + '?')) return;
+                      await api('POST', '/admin/api/sessions/' + encodeURIComponent(s.sessionId) + '/logout');
+                      refresh();
+                  }
+              });
+
+              renderRows('codes', codeData.codes, [
+                  c => c.code, c => c.phoneNumber, c => c.status,
+                  c => formatDate(c.createdAt), c => formatDate(c.linkedAt), c => formatDate(c.expiresAt)
+              ], {
+                  label: 'Revoke',
+                  show: c => c.status === 'pending',
+                  run: async c => {
+                      if (!confirm('Revoke code ' + c.code + '?')) return;
+                      await api('DELETE', '/admin/api/codes/' + encodeURIComponent(c.code));
+                      refresh();
+                  }
+              });
+          }
+
+          async function purge() {
+              const data = await api('POST', '/admin/api/purge');
+              alert('Purged ' + data.purged + ' code(s)');
+              refresh();
+          }
+
+          refresh();
+          setInterval(refresh, 10000);
+      </script>
+  </body>
+  </html>
+  `;
+}
+
+module.exports = { createAdminRouter, requireAdmin, safeEqual };
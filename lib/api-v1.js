@@ -0,0 +1,297 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const { safeEqual } = require('./admin');
+const { logger } = require('./logger');
+
+// ==================== API v1 ====================
+// The programmatic surface, described by GET /api/v1/openapi.json:
+//   pairings   POST/GET/DELETE /pairings[/:id]   start, poll, cancel
+//   QR codes   GET /pairings/:id/qr              JSON, or PNG with Accept: image/png
+//   sessions   GET /sessions[/:id], POST /sessions/:id/logout,
+//              POST /sessions/validate           (see lib/session-check.js)
+//   status     GET /status
+// Every request needs one of API_KEYS, as `Authorization: Bearer <key>` or
+// `X-API-Key: <key>`. Requests act for one tenant (lib/tenants.js): the
+// key's own, or else the one the host or /t/<id> prefix names; pairings
+// and sessions of other tenants answer 404. Failures use real status codes
+// and one body shape, { error: { code, message, ...details } }, with the
+// codes in API_ERRORS.
+const API_ERRORS = {
+  INVALID_JSON: 400,
+  VALIDATION_ERROR: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  QR_NOT_AVAILABLE: 409,
+  PAIRING_FINISHED: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  INVALID_PHONE: 422,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  INTERNAL_ERROR: 500,
+  SESSION_CLOSED: 502,
+  API_DISABLED: 503,
+  SESSION_LIMIT: 503,
+  CIRCUIT_OPEN: 503,
+  CHECKS_BUSY: 503,
+  SHUTTING_DOWN: 503,
+  WHATSAPP_TIMEOUT: 504
+};
+
+function apiError(code, message, fields = {}) {
+  return Object.assign(new Error(message), { code }, fields);
+}
+
+// Express 4 doesn't pass rejected promises on to the error handler
+const route = handler => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+function readApiKey(req) {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return req.get('x-api-key') || null;
+}
+
+// Registered last: turns thrown errors (and body-parser failures, which
+// happen before the router and before req.log exists) into the error body
+function handleApiError(error, req, res, next) {
+  let { code } = error;
+  if (error.type === 'entity.parse.failed') code = 'INVALID_JSON';
+  if (error.type === 'entity.too.large') code = 'PAYLOAD_TOO_LARGE';
+
+  const status = API_ERRORS[code];
+  if (!status) {
+    (req.log || logger).error({ err: error }, 'API request failed');
+    return res.status(500).json({ error: { code: 'INTERNAL_ERROR', message: 'Internal server error' } });
+  }
+
+  const body = { code, message: error.message };
+  if (error.details) body.details = error.details;
+  if (error.retryAfterMs !== undefined) {
+    body.retryAfter = Math.ceil(error.retryAfterMs / 1000);
+    res.set('Retry-After', String(body.retryAfter));
+  }
+  if (code === 'UNAUTHORIZED') res.set('WWW-Authenticate', 'Bearer realm="Pairing API"');
+  res.status(status).json({ error: body });
+}
+
+function createApiV1Router({
+  apiKeys,
+  tenants,
+  startPairing,
+  sessions,
+  pairingCodes,
+  codeGenerator,
+  sessionChecker,
+  lifecycle,
+  statusReport,
+  openApiDocument
+}) {
+  const router = express.Router();
+
+  // Under the tenant's /t/<id> prefix, which works whatever the host
+  function pairingLinks(tenant, id, mode) {
+    const self = `${tenant.basePath}/api/v1/pairings/${encodeURIComponent(id)}`;
+    return {
+      self,
+      qr: mode === 'qr' ? `${self}/qr` : null,
+      events: `${tenant.basePath}/events/${encodeURIComponent(id)}`
+    };
+  }
+
+  function ownedBy(record, tenant) {
+    return (record.tenant || tenants.defaultTenant.id) === tenant.id;
+  }
+
+  function serializePairing(summary, tenant) {
+    return {
+      id: summary.sessionId,
+      mode: summary.mode,
+      status: summary.status,
+      phoneNumber: summary.phoneNumber,
+      code: summary.pairingCode || null,
+      displayCode: summary.pairingCode ? codeGenerator.format(summary.pairingCode) : null,
+      createdAt: summary.createdAt,
+      expiresAt: summary.expiresAt,
+      linkedAt: summary.linkedAt,
+      links: pairingLinks(tenant, summary.sessionId, summary.mode)
+    };
+  }
+
+  // Finished code pairings are answered from the code store for as long as
+  // it keeps them (CODE_RETENTION_HOURS); finished QR pairings are gone
+  function findPairing(id, tenant) {
+    const live = sessions.get(id);
+    if (live && ownedBy(live, tenant)) return serializePairing(live, tenant);
+
+    const entry = !live && pairingCodes.values().find(code => code.sessionId === id);
+    if (!entry || !ownedBy(entry, tenant)) throw apiError('NOT_FOUND', 'Pairing not found');
+    return {
+      id,
+      mode: 'code',
+      status: entry.status,
+      phoneNumber: entry.phoneNumber,
+      code: entry.code,
+      displayCode: codeGenerator.format(entry.code),
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt,
+      linkedAt: entry.linkedAt,
+      links: pairingLinks(tenant, id, 'code')
+    };
+  }
+
+  function serializeSession(summary) {
+    return {
+      id: summary.sessionId,
+      mode: summary.mode,
+      status: summary.status,
+      phoneNumber: summary.phoneNumber,
+      createdAt: summary.createdAt,
+      linkedAt: summary.linkedAt,
+      expiresAt: summary.expiresAt,
+      reconnectAttempts: summary.reconnectAttempts,
+      lastDisconnect: summary.lastDisconnect,
+      nextRetryAt: summary.nextRetryAt
+    };
+  }
+
+  function findSession(id, tenant) {
+    const session = sessions.get(id);
+    if (!session || !ownedBy(session, tenant)) throw apiError('NOT_FOUND', 'Session not found');
+    return session;
+  }
+
+  function requireRunning() {
+    if (!lifecycle.isRunning()) {
+      throw apiError('SHUTTING_DOWN', 'The server is restarting', { retryAfterMs: lifecycle.drainTimeoutMs });
+    }
+  }
+
+  // ==================== DOCUMENT & AUTH ====================
+  router.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  router.use((req, res, next) => {
+    if (!apiKeys.length) {
+      return next(apiError('API_DISABLED', 'The API is disabled. Set API_KEYS to enable it.'));
+    }
+    const credential = readApiKey(req);
+    const client = credential && apiKeys.find(apiKey => safeEqual(credential, apiKey.key));
+    if (!client) {
+      return next(apiError('UNAUTHORIZED', 'A valid API key is required'));
+    }
+    if (client.tenant) {
+      if (req.tenant !== tenants.defaultTenant && req.tenant.id !== client.tenant) {
+        return next(apiError('UNAUTHORIZED', 'This API key belongs to another tenant'));
+      }
+      req.tenant = tenants.get(client.tenant);
+    }
+    req.apiClient = client.name;
+    req.log = req.log.child({ apiClient: client.name, tenant: req.tenant.id });
+    next();
+  });
+
+  // ==================== PAIRINGS ====================
+  router.post('/pairings', route(async (req, res) => {
+    requireRunning();
+    const { phoneNumber, country, mode = 'code' } = req.body || {};
+    if (mode !== 'code' && mode !== 'qr') {
+      throw apiError('VALIDATION_ERROR', 'mode must be "code" or "qr"');
+    }
+    if (typeof phoneNumber !== 'string' || !phoneNumber.trim()) {
+      throw apiError('VALIDATION_ERROR', 'phoneNumber is required');
+    }
+
+    const session = await startPairing({
+      phoneNumber,
+      country,
+      mode,
+      tenant: req.tenant,
+      ip: req.ip,
+      log: req.log,
+      actor: `api:${req.apiClient}`,
+      limitIp: false
+    });
+    const pairing = serializePairing(sessions.get(session.id), req.tenant);
+    res.status(201).location(pairing.links.self).json({ pairing });
+  }));
+
+  router.get('/pairings/:id', route((req, res) => {
+    res.json({ pairing: findPairing(req.params.id, req.tenant) });
+  }));
+
+  router.delete('/pairings/:id', route((req, res) => {
+    const { status } = findPairing(req.params.id, req.tenant);
+    if (!sessions.destroy(req.params.id, 'cancelled')) {
+      throw apiError('PAIRING_FINISHED', `Pairing already finished (${status})`);
+    }
+    req.log.info({ sessionId: req.params.id }, 'Pairing cancelled through the API');
+    res.status(204).end();
+  }));
+
+  router.get('/pairings/:id/qr', route(async (req, res) => {
+    const pairing = findPairing(req.params.id, req.tenant);
+    const session = sessions.get(req.params.id);
+    if (pairing.mode !== 'qr' || !session || !session.qr) {
+      throw apiError('QR_NOT_AVAILABLE', pairing.mode === 'qr'
+        ? 'No QR is available for this pairing right now'
+        : 'This pairing uses a pairing code, not a QR');
+    }
+
+    if (req.accepts(['json', 'png']) === 'png') {
+      res.type('png').set('Cache-Control', 'no-store');
+      return res.send(await QRCode.toBuffer(session.qr));
+    }
+    res.json({
+      qr: {
+        pairingId: session.sessionId,
+        value: session.qr,
+        image: await QRCode.toDataURL(session.qr),
+        expiresAt: session.expiresAt
+      }
+    });
+  }));
+
+  // ==================== SESSIONS ====================
+  router.get('/sessions', (req, res) => {
+    res.json({ sessions: sessions.list().filter(session => ownedBy(session, req.tenant)).map(serializeSession) });
+  });
+
+  router.post('/sessions/validate', route(async (req, res) => {
+    const { sessionString, live = false } = req.body || {};
+    if (typeof sessionString !== 'string' || !sessionString.trim()) {
+      throw apiError('VALIDATION_ERROR', 'sessionString is required');
+    }
+    if (typeof live !== 'boolean') {
+      throw apiError('VALIDATION_ERROR', 'live must be true or false');
+    }
+    if (live) requireRunning();
+    res.json({ check: await sessionChecker.check(sessionString, { live, prefix: req.tenant.sessionPrefix }) });
+  }));
+
+  router.get('/sessions/:id', route((req, res) => {
+    res.json({ session: serializeSession(findSession(req.params.id, req.tenant)) });
+  }));
+
+  // Unlinks the device from the user's WhatsApp, unlike DELETE /pairings/:id
+  router.post('/sessions/:id/logout', route(async (req, res) => {
+    findSession(req.params.id, req.tenant);
+    if (!await sessions.logout(req.params.id)) {
+      throw apiError('NOT_FOUND', 'Session not found');
+    }
+    req.log.info({ sessionId: req.params.id }, 'Session logged out through the API');
+    res.status(204).end();
+  }));
+
+  // ==================== STATUS ====================
+  router.get('/status', (req, res) => {
+    res.json(statusReport(req.tenant));
+  });
+
+  router.use((req, res, next) => {
+    next(apiError('NOT_FOUND', `No route for ${req.method} ${req.baseUrl}${req.path}`));
+  });
+
+  return router;
+}
+
+module.exports = { createApiV1Router, handleApiError, API_ERRORS };
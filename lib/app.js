@@ -0,0 +1,851 @@
+const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const { createSessionManager } = require('./session-manager');
+const { createAuthStateBackend } = require('./auth-state');
+const { createVersionResolver } = require('./baileys-version');
+const { encodeSessionString } = require('./session-string');
+const { createSessionChecker } = require('./session-check');
+const { createCodeGenerator } = require('./code-generator');
+const { createTenantDirectory, createUsageCounters, DEFAULT_TENANT_ID } = require('./tenants');
+const { createApiV1Router, handleApiError } = require('./api-v1');
+const { buildOpenApiDocument } = require('./openapi');
+const { createCodeStore, startCodeSweeper } = require('./code-store');
+const PhoneNumber = require('./phone-number');
+const { createRateLimiter, createMemoryCounterStore, createFileCounterStore } = require('./rate-limiter');
+const { createAdminRouter, requireAdmin } = require('./admin');
+const { renderTemplate } = require('./template');
+const { createWebhookDispatcher } = require('./webhooks');
+const { createAuditLog } = require('./audit-log');
+const { createChallengeIssuer } = require('./proof-of-work');
+const { logger, requestLogger } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { createLifecycle } = require('./lifecycle');
+
+// ==================== APPLICATION ====================
+// Builds the pairing service from a loaded config (lib/config.js) without
+// listening or touching process signals; server.js does both. `makeSocket`
+// replaces Baileys' makeWASocket, which is how the test suite runs the
+// whole HTTP API against test/helpers/fake-socket.js. Shutdown steps are
+// registered on `lifecycle` in the order they run; listen() adds the HTTP
+// server as the last one.
+function createApp({ config, makeSocket }) {
+  const app = express();
+
+  // ==================== GLOBAL STATE ====================
+  const codeRetentionMs = config.CODE_RETENTION_HOURS * 60 * 60 * 1000;
+  const pairingCodes = createCodeStore({
+    type: config.CODE_STORE,
+    file: config.CODE_STORE_FILE,
+    retentionMs: codeRetentionMs
+  });
+
+  const rateLimiter = createRateLimiter({
+    rules: config.RATE_LIMITS,
+    store: config.RATE_LIMIT_STORE === 'file'
+      ? createFileCounterStore({ file: config.RATE_LIMIT_FILE })
+      : createMemoryCounterStore()
+  });
+
+  const webhooks = createWebhookDispatcher({
+    endpoints: config.WEBHOOKS,
+    deadLetterFile: config.WEBHOOK_DEAD_LETTER_FILE,
+    maxAttempts: config.WEBHOOK_MAX_ATTEMPTS
+  });
+
+  const audit = createAuditLog({ file: config.AUDIT_LOG_FILE, secret: config.AUDIT_HASH_SECRET });
+
+  // null with POW_ENABLED off; GET /challenge then says so
+  const challenges = config.POW_ENABLED
+    ? createChallengeIssuer({
+      secret: config.POW_SECRET || undefined,
+      difficulty: config.POW_DIFFICULTY,
+      maxDifficulty: config.POW_MAX_DIFFICULTY,
+      targetPerMinute: config.POW_TARGET_PER_MINUTE,
+      ttlMs: config.POW_CHALLENGE_TTL_MS
+    })
+    : null;
+
+  const tenants = createTenantDirectory(config);
+  const usage = createUsageCounters({
+    store: config.TENANT_USAGE_STORE === 'file'
+      ? createFileCounterStore({ file: config.TENANT_USAGE_FILE })
+      : createMemoryCounterStore()
+  });
+
+  // A code still waiting to be entered is never handed out twice
+  const codeGenerator = createCodeGenerator({
+    alphabet: config.CODE_ALPHABET,
+    length: config.CODE_LENGTH,
+    groupSize: config.CODE_GROUP_SIZE,
+    separator: config.CODE_SEPARATOR,
+    checkChar: config.CODE_CHECK_CHAR,
+    isTaken: (code) => {
+      const entry = pairingCodes.get(code);
+      return Boolean(entry && entry.status === 'pending');
+    }
+  });
+
+  const authBackend = createAuthStateBackend({
+    type: config.AUTH_STATE_BACKEND,
+    dir: config.SESSIONS_DIR,
+    file: config.AUTH_STATE_FILE,
+    secret: config.AUTH_STATE_SECRET
+  });
+
+  const versionResolver = createVersionResolver({
+    pinned: config.BAILEYS_VERSION,
+    cacheFile: config.BAILEYS_VERSION_CACHE_FILE,
+    refreshMs: config.BAILEYS_VERSION_REFRESH_HOURS * 60 * 60 * 1000
+  });
+
+  const sessions = createSessionManager({
+    authBackend,
+    maxSessions: config.MAX_SESSIONS,
+    expiryMs: config.CODE_EXPIRY_MINUTES * 60 * 1000,
+    socketOptions: config.SOCKET_OPTIONS,
+    reconnect: {
+      baseDelayMs: config.RECONNECT_BASE_DELAY_MS,
+      maxDelayMs: config.RECONNECT_MAX_DELAY_MS,
+      maxAttempts: config.RECONNECT_MAX_ATTEMPTS,
+      maxRestarts: config.RECONNECT_MAX_RESTARTS
+    },
+    circuitBreaker: {
+      threshold: config.CIRCUIT_BREAKER_THRESHOLD,
+      cooldownMs: config.CIRCUIT_BREAKER_COOLDOWN_MS
+    },
+    versionResolver,
+    baileysLogLevel: config.BAILEYS_LOG_LEVEL,
+    makeSocket,
+    generatePairingCode: codeGenerator.generate
+  });
+
+  const sessionChecker = createSessionChecker({
+    prefix: config.SESSION_PREFIX,
+    timeoutMs: config.SESSION_CHECK_TIMEOUT_MS,
+    maxLive: config.SESSION_CHECK_MAX_LIVE,
+    socketOptions: config.SOCKET_OPTIONS,
+    versionResolver,
+    makeSocket
+  });
+
+  const metrics = createMetrics({ sessions });
+
+  const lifecycle = createLifecycle({
+    drainTimeoutMs: config.SHUTDOWN_DRAIN_TIMEOUT_MS,
+    isDrained: () => sessions.count() === 0
+  });
+
+  // ==================== UTILITY FUNCTIONS ====================
+  // Accepts { phoneNumber, country } from the page or API clients; a bare
+  // local number without a country falls back to config.DEFAULT_COUNTRY.
+  function parsePhoneNumber({ phoneNumber, country } = {}) {
+    return PhoneNumber.parse(phoneNumber, country || config.DEFAULT_COUNTRY);
+  }
+
+  // Sessions and code entries from before TENANTS existed are the default's
+  function tenantOf(record) {
+    return tenants.get(record.tenant || DEFAULT_TENANT_ID) || tenants.defaultTenant;
+  }
+
+  function generateSessionId(tenant) {
+    return `${tenant.sessionPrefix}_${Date.now()}_${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+
+  // ==================== PAIRING CODE MANAGEMENT ====================
+  function serviceStatus() {
+    if (sessions.connectionStatus().circuit.state === 'open') return 'unavailable';
+    return sessions.count() < sessions.maxSessions ? 'online' : 'busy';
+  }
+
+  function pairingError(code, message, fields = {}) {
+    return Object.assign(new Error(message), { code }, fields);
+  }
+
+  // Shared by the page's routes and /api/v1: validates the number, counts it
+  // against the rate limits and the tenant's daily quota and resolves with
+  // the session once WhatsApp has a code or QR ready. The page sends a solved
+  // proof-of-work challenge as `proof` (see lib/proof-of-work.js); API
+  // clients hold a key instead and pass none. Failures carry a `code`:
+  // RATE_LIMITED (`rule`, `retryAfterMs`), CHALLENGE_* for a missing or bad
+  // proof, INVALID_PHONE (`details`), QUOTA_EXCEEDED (`retryAfterMs`),
+  // SESSION_LIMIT, CIRCUIT_OPEN (`retryAfterMs`), WHATSAPP_TIMEOUT or
+  // SESSION_CLOSED. `limitIp: false` skips the per-IP limit for API clients,
+  // which all call from a few servers. Every request is audited, refused
+  // ones with the error code as outcome and repeats merged per IP (see
+  // recordRefused in lib/audit-log.js); `actor` says who asked ('page' or
+  // 'api:<client name>').
+  async function startPairing({ phoneNumber, country, mode, tenant, ip, log, proof, actor = 'page', limitIp = true }) {
+    const phone = parsePhoneNumber({ phoneNumber, country });
+    const audited = {
+      event: mode === 'qr' ? 'qr.served' : 'code.generated',
+      ip,
+      phoneNumber: phone.valid ? phone.e164 : null,
+      tenant: tenant.id,
+      actor
+    };
+
+    try {
+      const session = await openPairing({ phone, mode, tenant, ip, log, proof, limitIp });
+      requesters.set(session.id, ip);
+      audit.record({ ...audited, outcome: 'success', sessionId: session.id });
+      return session;
+    } catch (error) {
+      audit.recordRefused({ ...audited, outcome: error.code ? error.code.toLowerCase() : 'error' });
+      throw error;
+    }
+  }
+
+  function checkPairingLimit(verdict) {
+    if (verdict.allowed) return;
+    throw pairingError('RATE_LIMITED', verdict.rule === 'phone'
+      ? 'Too many pairing requests for this number'
+      : 'Too many requests', { rule: verdict.rule, retryAfterMs: verdict.retryAfterMs });
+  }
+
+  async function openPairing({ phone, mode, tenant, ip, log, proof, limitIp }) {
+    // The per-IP limit comes before any validation, so requests that are
+    // refused anyway still use up the client's allowance
+    if (limitIp) checkPairingLimit(consumeRateLimit({ ip, log }));
+
+    if (challenges && proof !== undefined) challenges.verify(proof);
+
+    if (!phone.valid) {
+      throw pairingError('INVALID_PHONE', phone.error.message, { details: phone.error });
+    }
+
+    checkPairingLimit(consumeRateLimit({ ip: null, phone, log }));
+
+    const quota = usage.reserve(tenant);
+    if (!quota.allowed) {
+      log.warn({ tenant: tenant.id, dailyQuota: tenant.dailyQuota }, 'Daily pairing quota reached');
+      throw pairingError('QUOTA_EXCEEDED', `${tenant.name} has used today's ${tenant.dailyQuota} pairings`, {
+        retryAfterMs: quota.retryAfterMs
+      });
+    }
+
+    const generated = metrics.timeCodeGeneration(mode);
+    try {
+      const session = await sessions.create({
+        sessionId: generateSessionId(tenant),
+        phoneNumber: phone.e164,
+        mode,
+        tenant: tenant.id
+      });
+      generated('success');
+      return session;
+    } catch (error) {
+      generated(error.code === 'SESSION_LIMIT' || error.code === 'CIRCUIT_OPEN' ? 'unavailable' : 'error');
+      // Only pairings that reached WhatsApp count against the quota
+      if (error.code === 'SESSION_LIMIT' || error.code === 'CIRCUIT_OPEN') usage.release(tenant);
+      throw error;
+    }
+  }
+
+  // The page's routes answer most failures with 200 and { success: false }
+  function sendPageError(req, res, error, fallbackMessage) {
+    if (error.code === 'INVALID_PHONE') {
+      return res.json({ success: false, message: error.message, error: error.details });
+    }
+    if (error.code === 'RATE_LIMITED') {
+      return sendRateLimited(res, error.rule, error.retryAfterMs);
+    }
+    if (error.code && error.code.startsWith('CHALLENGE_')) {
+      req.log.warn({ code: error.code }, 'Proof of work rejected');
+      return res.status(403).json({ success: false, message: 'Browser check failed. Please try again.', code: error.code });
+    }
+    if (error.code === 'QUOTA_EXCEEDED') {
+      const retryAfter = Math.ceil(error.retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ success: false, message: 'Daily pairing limit reached. Please try again tomorrow.', retryAfter });
+    }
+    if (sendUnavailable(res, error)) return;
+    req.log.error({ err: error }, fallbackMessage);
+    res.json({ success: false, message: fallbackMessage });
+  }
+
+  // Session setup errors the user can do nothing about but wait
+  function sendUnavailable(res, error) {
+    if (error.code === 'SESSION_LIMIT') {
+      res.json({ success: false, message: 'Server is busy pairing other devices. Please try again shortly.' });
+      return true;
+    }
+    if (error.code === 'CIRCUIT_OPEN') {
+      const retryAfter = Math.ceil(error.retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      res.json({ success: false, message: 'WhatsApp is unreachable right now. Please try again shortly.', retryAfter });
+      return true;
+    }
+    if (error.code === 'CHECKS_BUSY') {
+      res.json({ success: false, message: 'Too many session checks are running. Please try again shortly.' });
+      return true;
+    }
+    return false;
+  }
+
+  sessions.on('code', (session) => {
+    // A session whose creds were wiped gets a fresh code; the old one is dead
+    for (const entry of pairingCodes.values()) {
+      if (entry.sessionId === session.id && entry.status === 'pending' && entry.code !== session.pairingCode) {
+        pairingCodes.update(entry.code, { status: 'expired' });
+        emitCodeExpired(entry);
+      }
+    }
+
+    pairingCodes.put({
+      code: session.pairingCode,
+      phoneNumber: session.phoneNumber,
+      sessionId: session.id,
+      tenant: session.tenant,
+      status: 'pending',
+      createdAt: new Date(),
+      expiresAt: session.expiresAt,
+      linkedAt: null,
+      linkedTo: null,
+      attempts: 0
+    });
+    session.log.info({ code: session.pairingCode, phoneNumber: session.phoneNumber }, 'WhatsApp issued pairing code');
+  });
+
+  sessions.on('qr', (session) => {
+    session.log.debug('QR refreshed');
+  });
+
+  // Packs the freshly written creds into a SESSION_ID string, sends it to the
+  // paired number and closes the socket without logging the device out.
+  async function deliverSessionString(session) {
+    const tenant = tenantOf(session);
+    await session.saveCreds();
+    const sessionString = encodeSessionString(await authBackend.readAll(session.id), tenant.sessionPrefix);
+    const jid = `${session.linkedTo.split(':')[0].split('@')[0]}@s.whatsapp.net`;
+
+    await session.socket.sendMessage(jid, { text: sessionString });
+    await session.socket.sendMessage(jid, {
+      text: `✅ ${tenant.name} pairing complete.\n\nThe message above is your SESSION_ID. Keep it private - anyone holding it can use your WhatsApp account.`
+    });
+    session.log.info({ phoneNumber: session.phoneNumber }, 'Session string delivered');
+  }
+
+  sessions.on('linked', async (session) => {
+    session.log.info({ phoneNumber: session.phoneNumber, linkedTo: session.linkedTo }, 'Device linked');
+    const entry = session.pairingCode && pairingCodes.get(session.pairingCode);
+    if (entry && entry.status === 'pending') {
+      pairingCodes.update(entry.code, {
+        status: 'linked',
+        linkedAt: session.linkedAt,
+        linkedTo: session.linkedTo
+      });
+    }
+
+    if (session.delivered) return;
+    session.delivered = true;
+    try {
+      await deliverSessionString(session);
+      sessions.destroy(session.id, 'delivered');
+    } catch (error) {
+      session.log.error({ err: error }, 'Could not deliver session string');
+      session.delivered = false;
+    }
+  });
+
+  sessions.on('closed', (session, reason) => {
+    session.log.info({ reason }, 'Session closed');
+    const entry = session.pairingCode && pairingCodes.get(session.pairingCode);
+    if (entry && entry.status === 'pending') {
+      pairingCodes.update(entry.code, { status: 'expired' });
+      emitCodeExpired(entry);
+    }
+  });
+
+  const codeSweeper = startCodeSweeper(pairingCodes, {
+    retentionMs: codeRetentionMs,
+    hasSession: entry => Boolean(sessions.get(entry.sessionId)),
+    onExpire: (entry) => {
+      logger.info({ code: entry.code, sessionId: entry.sessionId }, 'Pairing code expired');
+      emitCodeExpired(entry);
+      // A process that died mid-pairing may have left its creds behind
+      if (!sessions.get(entry.sessionId)) {
+        authBackend.clear(entry.sessionId).catch(error => {
+          logger.error({ err: error, sessionId: entry.sessionId }, 'Error clearing auth state');
+        });
+      }
+    }
+  });
+
+  // ==================== PAIRING EVENT STREAM ====================
+  // Server-Sent Events per session: GET /events/:sessionId receives qr, code,
+  // linked, expired, logged_out, error and finally closed. The last event is
+  // replayed to late subscribers, since the page only connects after
+  // /generate-code or /getqr has answered. Streams are only served to
+  // requests for the session's own tenant.
+  const eventStreams = new Map(); // sessionId -> { clients: Set<res>, last, tenant }
+
+  function publishSessionEvent(session, event, data) {
+    const stream = eventStreams.get(session.id) || { clients: new Set(), last: null, tenant: tenantOf(session).id };
+    stream.last = { event, data: { sessionId: session.id, ...data, at: new Date().toISOString() } };
+    eventStreams.set(session.id, stream);
+
+    for (const res of stream.clients) {
+      writeSessionEvent(res, stream.last);
+    }
+  }
+
+  function writeSessionEvent(res, { event, data }) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function closeSessionStream(sessionId) {
+    const stream = eventStreams.get(sessionId);
+    if (!stream) return;
+    for (const res of stream.clients) res.end();
+    eventStreams.delete(sessionId);
+  }
+
+  sessions.on('qr', (session) => {
+    publishSessionEvent(session, 'qr', { qrImage: session.qrImage, expiresAt: session.expiresAt });
+  });
+
+  sessions.on('code', (session) => {
+    publishSessionEvent(session, 'code', {
+      code: session.pairingCode,
+      displayCode: codeGenerator.format(session.pairingCode),
+      expiresAt: session.expiresAt
+    });
+  });
+
+  sessions.on('linked', (session) => {
+    publishSessionEvent(session, 'linked', { linkedAt: session.linkedAt });
+  });
+
+  sessions.on('expired', (session) => {
+    publishSessionEvent(session, 'expired', {});
+  });
+
+  sessions.on('failed', (session, error) => {
+    publishSessionEvent(session, 'error', { message: 'WhatsApp connection failed. Please try again.' });
+  });
+
+  sessions.on('closed', (session, reason) => {
+    if (reason === 'logged_out') {
+      publishSessionEvent(session, 'logged_out', {});
+    }
+    publishSessionEvent(session, 'closed', { reason });
+    closeSessionStream(session.id);
+  });
+
+  // ==================== WEBHOOKS ====================
+  function sessionWebhookData(session) {
+    return {
+      sessionId: session.id,
+      tenant: tenantOf(session).id,
+      phoneNumber: session.phoneNumber,
+      createdAt: session.createdAt,
+      linkedAt: session.linkedAt,
+      expiresAt: session.expiresAt
+    };
+  }
+
+  function emitCodeExpired(entry) {
+    audit.record({
+      event: 'code.expired',
+      outcome: 'expired',
+      ip: requesters.get(entry.sessionId) || null,
+      phoneNumber: entry.phoneNumber,
+      sessionId: entry.sessionId,
+      tenant: tenantOf(entry).id
+    });
+    metrics.codeExpired();
+    webhooks.emit('code.expired', {
+      sessionId: entry.sessionId,
+      tenant: tenantOf(entry).id,
+      phoneNumber: entry.phoneNumber,
+      code: entry.code,
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt
+    });
+  }
+
+  sessions.on('code', (session) => {
+    webhooks.emit('code.created', { ...sessionWebhookData(session), code: session.pairingCode });
+  });
+
+  // 'linked' fires again if a socket reconnects before delivery finishes
+  const linkedWebhookSent = new WeakSet();
+
+  sessions.on('linked', (session) => {
+    if (linkedWebhookSent.has(session)) return;
+    linkedWebhookSent.add(session);
+    webhooks.emit('session.linked', { ...sessionWebhookData(session), jid: session.linkedTo });
+  });
+
+  sessions.on('failed', (session, error) => {
+    webhooks.emit('session.error', { ...sessionWebhookData(session), error: error.message });
+  });
+
+  sessions.on('closed', (session, reason) => {
+    if (reason === 'logged_out') {
+      webhooks.emit('session.logged_out', { ...sessionWebhookData(session), loggedOutAt: new Date() });
+    }
+  });
+
+  // ==================== TENANT USAGE ====================
+  const linkCounted = new WeakSet();
+
+  sessions.on('linked', (session) => {
+    if (linkCounted.has(session)) return;
+    linkCounted.add(session);
+    usage.linked(tenantOf(session));
+  });
+
+  // ==================== AUDIT LOG ====================
+  // Entries that follow from a pairing (link, expiry, logout) carry the IP
+  // its request came from (see startPairing)
+  const requesters = new Map(); // sessionId -> ip
+  const linkAudited = new WeakSet();
+
+  function auditSession(session, event, outcome) {
+    audit.record({
+      event,
+      outcome,
+      ip: requesters.get(session.id) || null,
+      phoneNumber: session.phoneNumber,
+      sessionId: session.id,
+      tenant: tenantOf(session).id
+    });
+  }
+
+  sessions.on('linked', (session) => {
+    if (linkAudited.has(session)) return;
+    linkAudited.add(session);
+    auditSession(session, 'link.completed', 'success');
+  });
+
+  sessions.on('closed', (session, reason) => {
+    if (reason === 'logged_out') auditSession(session, 'session.logout', 'success');
+    requesters.delete(session.id);
+  });
+
+  // ==================== RATE LIMITING ====================
+  // Counts a request against the caller's IP and, when given, the target
+  // number; a null `ip` is not counted
+  function consumeRateLimit({ ip, phone = null, log }) {
+    const verdict = rateLimiter.consume({ ip, phone: phone && phone.digits });
+    if (!verdict.allowed) {
+      const retryAfter = Math.ceil(verdict.retryAfterMs / 1000);
+      log.warn({ rule: verdict.rule, ip, phone: phone && phone.e164, retryAfter }, 'Rate limited');
+    }
+    return verdict;
+  }
+
+  function sendRateLimited(res, rule, retryAfterMs) {
+    const retryAfter = Math.ceil(retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      message: rule === 'phone'
+        ? `Too many pairing requests for this number. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+        : `Too many requests. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+      retryAfter: retryAfter
+    });
+  }
+
+  // Answers 429 with Retry-After and returns false when over a limit
+  function checkRateLimit(req, res, phone = null) {
+    const verdict = consumeRateLimit({ ip: req.ip, phone, log: req.log });
+    if (verdict.allowed) return true;
+    sendRateLimited(res, verdict.rule, verdict.retryAfterMs);
+    return false;
+  }
+
+  // ==================== EXPRESS SERVER SETUP ====================
+  app.set('trust proxy', config.TRUST_PROXY);
+  // Behind an unconfigured proxy every client shares the proxy's IP, so one
+  // busy visitor rate-limits everyone. Said once, at the first sign of it.
+  if (!config.TRUST_PROXY) {
+    let proxyWarned = false;
+    app.use((req, res, next) => {
+      if (!proxyWarned && req.headers['x-forwarded-for']) {
+        proxyWarned = true;
+        logger.warn('Requests carry X-Forwarded-For but TRUST_PROXY is 0, so rate limits and the audit log see the proxy\'s IP; set TRUST_PROXY to the number of proxies in front of the server');
+      }
+      next();
+    });
+  }
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.static(path.join(__dirname, '..', 'public')));
+  app.get('/js/phone-number.js', (req, res) => {
+    res.type('application/javascript').sendFile(path.join(__dirname, 'phone-number.js'));
+  });
+  app.get('/js/pow-worker.js', (req, res) => {
+    res.type('application/javascript').sendFile(path.join(__dirname, 'pow-solver.js'));
+  });
+
+  // Everything below gets a request id and req.log and is counted in
+  // http_requests_total; static assets above aren't
+  app.use(requestLogger(logger));
+  app.use(metrics.httpMiddleware);
+
+  // Sets req.tenant. /t/<id>/... is routed as /... for that tenant, so the
+  // page and its routes work unchanged under the prefix; other requests go
+  // by host name.
+  app.use((req, res, next) => {
+    const prefixed = tenants.forPath(req.url);
+    if (prefixed && !prefixed.tenant) {
+      return res.status(404).json({ success: false, message: 'Unknown tenant' });
+    }
+    req.tenant = prefixed ? prefixed.tenant : tenants.forHost(req.hostname);
+    if (prefixed) req.url = prefixed.url;
+    if (req.tenant !== tenants.defaultTenant) req.log = req.log.child({ tenant: req.tenant.id });
+    next();
+  });
+
+  // ==================== ROUTES ====================
+  app.get('/', (req, res) => {
+    const { tenant } = req;
+    res.send(renderTemplate('index', {
+      companyName: tenant.name,
+      tagline: tenant.tagline,
+      logoUrl: tenant.logoUrl,
+      footerText: tenant.footerText || `🔒 Secure Connection | ⚡ Powered by ${tenant.name}`,
+      expiryLabel: `${String(config.CODE_EXPIRY_MINUTES).padStart(2, '0')}:00`,
+      defaultCountry: config.DEFAULT_COUNTRY,
+      basePath: tenant.basePath,
+      ...tenant.theme
+    }));
+  });
+
+  // ==================== API ENDPOINTS ====================
+  app.get('/events/:sessionId', (req, res) => {
+    const { sessionId } = req.params;
+    const session = sessions.get(sessionId);
+    const owner = session ? tenantOf(session).id : eventStreams.has(sessionId) && eventStreams.get(sessionId).tenant;
+    if (owner !== req.tenant.id) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const stream = eventStreams.get(sessionId) || { clients: new Set(), last: null, tenant: owner };
+    eventStreams.set(sessionId, stream);
+    stream.clients.add(res);
+    if (stream.last) writeSessionEvent(res, stream.last);
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      stream.clients.delete(res);
+    });
+  });
+
+  // A fresh proof-of-work challenge for the page's next pairing request;
+  // `challenge` is null while POW_ENABLED is off
+  app.get('/challenge', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    if (!challenges) return res.json({ success: true, challenge: null });
+    res.json({ success: true, algorithm: 'sha256', ...challenges.issue() });
+  });
+
+  // The page's original routes, kept as thin wrappers; integrations should
+  // use /api/v1 (lib/api-v1.js) instead
+  app.post('/generate-code', lifecycle.rejectWhileDraining, async (req, res) => {
+    try {
+      const { phoneNumber, country, challenge, solution } = req.body || {};
+      const session = await startPairing({
+        phoneNumber,
+        country,
+        mode: 'code',
+        tenant: req.tenant,
+        ip: req.ip,
+        log: req.log,
+        proof: { challenge, solution }
+      });
+
+      res.json({ 
+        success: true, 
+        code: session.pairingCode,
+        displayCode: codeGenerator.format(session.pairingCode),
+        phoneNumber: session.phoneNumber,
+        sessionId: session.id,
+        expiresAt: session.expiresAt,
+        message: 'Pairing code generated successfully'
+      });
+    } catch (error) {
+      sendPageError(req, res, error, 'Error generating pairing code');
+    }
+  });
+
+  app.post('/getqr', lifecycle.rejectWhileDraining, async (req, res) => {
+    try {
+      const { phoneNumber, country, challenge, solution } = req.body || {};
+      const session = await startPairing({
+        phoneNumber,
+        country,
+        mode: 'qr',
+        tenant: req.tenant,
+        ip: req.ip,
+        log: req.log,
+        proof: { challenge, solution }
+      });
+
+      res.json({ 
+        success: true, 
+        qrImage: session.qrImage,
+        phoneNumber: session.phoneNumber,
+        sessionId: session.id,
+        expiresAt: session.expiresAt,
+        message: 'QR code ready for scanning'
+      });
+    } catch (error) {
+      sendPageError(req, res, error, 'Error generating QR');
+    }
+  });
+
+  // Tells a returning user whether their SESSION_ID still works. The string
+  // is a secret, so it only travels in the body. `live: true` also connects
+  // to WhatsApp with it (see lib/session-check.js). Like the pairing routes
+  // it needs a solved challenge; API clients use POST
+  // /api/v1/sessions/validate with their key instead.
+  app.post('/check-session', lifecycle.rejectWhileDraining, async (req, res) => {
+    const { sessionString, live, challenge, solution } = req.body || {};
+    if (typeof sessionString !== 'string' || !sessionString.trim()) {
+      return res.json({ success: false, message: 'Paste the session ID you want to check' });
+    }
+
+    if (!checkRateLimit(req, res)) return;
+
+    try {
+      if (challenges) challenges.verify({ challenge, solution });
+      const result = await sessionChecker.check(sessionString, {
+        live: live === true || live === 'true',
+        prefix: req.tenant.sessionPrefix
+      });
+      req.log.info({ status: result.status, jid: result.account && result.account.jid, live: Boolean(result.live) }, 'Session string checked');
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendPageError(req, res, error, 'Error checking session ID');
+    }
+  });
+
+  // Capacity and connectivity are shared; sessions, codes and usage are the
+  // tenant's own
+  function statusReport(tenant) {
+    const own = sessions.list().filter(session => tenantOf(session) === tenant);
+    return {
+      bot: serviceStatus(),
+      hasQR: own.some(session => session.status === 'qr_ready'),
+      pairingCodes: pairingCodes.values().filter(entry => tenantOf(entry) === tenant).length,
+      sessions: own.length,
+      maxSessions: sessions.maxSessions,
+      connection: sessions.connectionStatus(),
+      company: tenant.name,
+      tenant: tenant.id,
+      usage: usage.report(tenant),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  app.get('/status', (req, res) => {
+    res.json(statusReport(req.tenant));
+  });
+
+  // 503 while shutting down so load balancers stop sending traffic here
+  app.get('/health', (req, res) => {
+    res.status(lifecycle.isRunning() ? 200 : 503).json({
+      status: lifecycle.state(),
+      version: '5.5.0',
+      bot: serviceStatus(),
+      sessions: sessions.count(),
+      codes: pairingCodes.size(),
+      baileysVersion: versionResolver.status(),
+      proofOfWork: challenges ? challenges.status() : null
+    });
+  });
+
+  // Prometheus scrape target; with METRICS_TOKEN set it needs that token the
+  // same ways /admin accepts its own (e.g. bearer_token in the scrape config)
+  const metricsAuth = config.METRICS_TOKEN ? [requireAdmin(config.METRICS_TOKEN)] : [];
+  app.get('/metrics', ...metricsAuth, metrics.handler);
+
+  // ==================== API v1 ====================
+  // handleApiError also sees body-parser failures for /api/v1 requests
+  app.use('/api/v1', createApiV1Router({
+    apiKeys: config.API_KEYS,
+    tenants,
+    startPairing,
+    sessions,
+    pairingCodes,
+    codeGenerator,
+    sessionChecker,
+    lifecycle,
+    statusReport,
+    openApiDocument: buildOpenApiDocument({ companyName: config.COMPANY_NAME, serverUrl: config.PUBLIC_URL })
+  }), handleApiError);
+
+  // ==================== ADMIN ====================
+  app.use('/admin', createAdminRouter({
+    token: config.ADMIN_TOKEN,
+    companyName: config.COMPANY_NAME,
+    pairingCodes,
+    normalizeCode: codeGenerator.normalize,
+    sessions,
+    tenants,
+    usage,
+    webhooks,
+    audit
+  }));
+
+  function listen(port, host, callback) {
+    const server = app.listen(port, host, callback);
+    lifecycle.onShutdown('http server', () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeIdleConnections();
+      setTimeout(() => server.closeAllConnections(), 5000).unref();
+    }));
+    return server;
+  }
+
+  // ==================== SHUTDOWN ====================
+  // SIGTERM/SIGINT: new pairings get 503 while in-flight ones get up to
+  // SHUTDOWN_DRAIN_TIMEOUT_MS to finish (the page and SSE keep working), then
+  // everything is flushed and closed in this order.
+  lifecycle.onShutdown('sessions', () => sessions.close('shutdown'));
+  lifecycle.onShutdown('session checks', () => sessionChecker.close());
+  lifecycle.onShutdown('code sweeper', () => codeSweeper.stop());
+  lifecycle.onShutdown('rate limiter', () => {
+    rateLimiter.stop();
+    rateLimiter.store.flush();
+  });
+  lifecycle.onShutdown('tenant usage', () => usage.flush());
+  lifecycle.onShutdown('audit log', () => audit.close());
+  lifecycle.onShutdown('pairing codes', () => pairingCodes.close());
+  lifecycle.onShutdown('webhooks', () => webhooks.close());
+  lifecycle.onShutdown('auth state', () => authBackend.close());
+
+  // Codes still pending from the previous process lost their sockets with it
+  codeSweeper.sweep();
+
+  return {
+    app,
+    listen,
+    lifecycle,
+    sessions,
+    pairingCodes,
+    tenants,
+    usage,
+    audit,
+    challenges,
+    versionResolver,
+    webhooks,
+    metrics
+  };
+}
+
+module.exports = { createApp };
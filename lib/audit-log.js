@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { logger } = require('./logger');
+
+const GENESIS_HASH = '0'.repeat(64);
+const TAIL_BYTES = 64 * 1024;
+const REFUSAL_WINDOW_MS = 60 * 1000;
+
+// ==================== AUDIT LOG ====================
+// One JSON line per pairing or session event, for answering abuse reports:
+//   { seq, at, event, outcome, ip, phoneHash, sessionId, tenant, actor,
+//     details, prevHash, hash }
+// Events: code.generated, qr.served (with the refusal reason as `outcome`
+// when a request was turned down), link.completed, code.expired,
+// session.logout and admin.action. `actor` is who made the request
+// ('page', 'api:<client>', 'admin'), or 'system' for what followed from a
+// pairing, which keeps the IP of the request that started it. Phone numbers
+// are only stored as an HMAC of their digits, keyed by `secret` or else by
+// a random key kept in <file>.key, so a number always hashes the same way.
+//
+// The file is only ever appended to. Each entry's `hash` is an HMAC-SHA256,
+// under the same key, of the previous entry's hash and its own fields, so
+// editing, removing or reordering lines breaks the chain from that point on
+// and can't be papered over by recomputing the hashes without the key;
+// verify() walks it.
+function auditError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function entryHash(entry, key) {
+  const fields = [
+    entry.seq, entry.at, entry.event, entry.outcome, entry.ip, entry.phoneHash,
+    entry.sessionId, entry.tenant, entry.actor, entry.details, entry.prevHash
+  ];
+  return crypto.createHmac('sha256', key).update(JSON.stringify(fields)).digest('hex');
+}
+
+function loadKey(file, secret) {
+  if (secret) return secret;
+  const keyFile = `${file}.key`;
+  if (fs.existsSync(keyFile)) return fs.readFileSync(keyFile, 'utf8').trim();
+  const key = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(keyFile, key, { mode: 0o600 });
+  return key;
+}
+
+// The chain continues from the last complete entry; a line torn by a crash
+// is left in place for verify() to report
+function readHead(file) {
+  const size = fs.statSync(file).size;
+  if (!size) return { seq: 0, hash: GENESIS_HASH, endsWithNewline: true };
+
+  const fd = fs.openSync(file, 'r');
+  const length = Math.min(size, TAIL_BYTES);
+  const buffer = Buffer.alloc(length);
+  try {
+    fs.readSync(fd, buffer, 0, length, size - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const text = buffer.toString('utf8');
+  const lines = text.split('\n').filter(line => line.trim());
+  for (let i = lines.length - 1; i >= 0; i--) {
+    try {
+      const entry = JSON.parse(lines[i]);
+      if (Number.isInteger(entry.seq) && entry.hash) {
+        return { seq: entry.seq, hash: entry.hash, endsWithNewline: text.endsWith('\n') };
+      }
+    } catch (error) {
+      // A torn or foreign line; keep looking further back
+    }
+  }
+  throw auditError('AUDIT_LOG_UNREADABLE', `${file} has no readable entry in its last ${length} bytes`);
+}
+
+// `from`/`to` are Dates, `phone` any formatting of the number
+function matches(entry, filters, phoneHash) {
+  const at = Date.parse(entry.at);
+  if (filters.from && at < filters.from.getTime()) return false;
+  if (filters.to && at > filters.to.getTime()) return false;
+  if (phoneHash && entry.phoneHash !== phoneHash) return false;
+  if (filters.sessionId && entry.sessionId !== filters.sessionId) return false;
+  if (filters.event && entry.event !== filters.event) return false;
+  if (filters.tenant && entry.tenant !== filters.tenant) return false;
+  return true;
+}
+
+function createAuditLog({ file, secret = null, refusalWindowMs = REFUSAL_WINDOW_MS }) {
+  const log = logger.child({ component: 'audit-log' });
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (!fs.existsSync(file)) fs.writeFileSync(file, '');
+  const key = loadKey(file, secret);
+  const head = readHead(file);
+  if (!head.endsWithNewline) {
+    log.warn({ file }, 'Audit log ends in a partial line; continuing on a new line');
+    fs.appendFileSync(file, '\n');
+  }
+
+  function hashPhone(phoneNumber) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    return digits ? crypto.createHmac('sha256', key).update(digits).digest('hex') : null;
+  }
+
+  // Never throws: losing an audit line must not fail the request it records
+  function record({ event, outcome, ip = null, phoneNumber = null, sessionId = null, tenant = null, actor = 'system', details = null }) {
+    const entry = {
+      seq: head.seq + 1,
+      at: new Date().toISOString(),
+      event,
+      outcome,
+      ip,
+      phoneHash: hashPhone(phoneNumber),
+      sessionId,
+      tenant,
+      actor,
+      details,
+      prevHash: head.hash
+    };
+    entry.hash = entryHash(entry, key);
+
+    try {
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+      head.seq = entry.seq;
+      head.hash = entry.hash;
+      return entry;
+    } catch (error) {
+      log.error({ err: error, event, sessionId }, 'Could not write audit log entry');
+      return null;
+    }
+  }
+
+  // Refused requests from one IP with the same outcome are written once per
+  // window: the first as it happens, any repeats as one entry with
+  // details: { repeats, since } when the sweep closes the window. A client
+  // hammering the page can't grow the file by a line per request.
+  const refusals = new Map(); // [ip, event, outcome, tenant, actor] -> window
+
+  function recordRefused(fields) {
+    const key = JSON.stringify([fields.ip, fields.event, fields.outcome, fields.tenant, fields.actor]);
+    const open = refusals.get(key);
+    if (open) {
+      open.repeats++;
+      return null;
+    }
+    refusals.set(key, { fields, repeats: 0, openedAt: Date.now() });
+    return record(fields);
+  }
+
+  function closeRefusals({ all = false } = {}) {
+    const now = Date.now();
+    for (const [key, window] of refusals) {
+      if (!all && now - window.openedAt < refusalWindowMs) continue;
+      refusals.delete(key);
+      if (!window.repeats) continue;
+      const { event, outcome, ip, tenant, actor } = window.fields;
+      record({
+        event,
+        outcome,
+        ip,
+        tenant,
+        actor,
+        details: { repeats: window.repeats, since: new Date(window.openedAt).toISOString() }
+      });
+    }
+  }
+
+  const timer = setInterval(closeRefusals, refusalWindowMs);
+  timer.unref();
+
+  async function* readEntries() {
+    const input = fs.createReadStream(file, 'utf8');
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let line = 0;
+    try {
+      for await (const text of lines) {
+        line++;
+        if (!text.trim()) continue;
+        let entry = null;
+        try {
+          entry = JSON.parse(text);
+        } catch (error) {
+          // Left to the caller; verify() reports it
+        }
+        yield { line, entry };
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+  }
+
+  // Entries matching every given filter, oldest first; for exports
+  async function* matching(filters = {}) {
+    const phoneHash = filters.phone ? hashPhone(filters.phone) : null;
+    for await (const { entry } of readEntries()) {
+      if (entry && matches(entry, filters, phoneHash)) yield entry;
+    }
+  }
+
+  // The same, at most `limit` of them
+  async function query(filters = {}, { limit = Infinity } = {}) {
+    const entries = [];
+    let truncated = false;
+    for await (const entry of matching(filters)) {
+      if (entries.length >= limit) {
+        truncated = true;
+        break;
+      }
+      entries.push(entry);
+    }
+    return { entries, truncated };
+  }
+
+  // { valid, entries, head } or, at the first bad line, { valid: false,
+  // brokenAt: { line, seq }, reason }
+  async function verify() {
+    let prevHash = GENESIS_HASH;
+    let seq = 0;
+    for await (const { line, entry } of readEntries()) {
+      const broken = reason => ({ valid: false, entries: seq, brokenAt: { line, seq: entry ? entry.seq : null }, reason });
+      if (!entry) return broken('unreadable line');
+      if (entry.seq !== seq + 1) return broken(`expected seq ${seq + 1}`);
+      if (entry.prevHash !== prevHash) return broken('prevHash does not match the previous entry');
+      if (entryHash(entry, key) !== entry.hash) return broken('hash does not match the entry');
+      prevHash = entry.hash;
+      seq = entry.seq;
+    }
+    return { valid: true, entries: seq, head: prevHash };
+  }
+
+  return {
+    record,
+    recordRefused,
+    matching,
+    query,
+    verify,
+    hashPhone,
+    // Writes the repeats of every open refusal window
+    close: () => {
+      clearInterval(timer);
+      closeRefusals({ all: true });
+    },
+    file
+  };
+}
+
+module.exports = { createAuditLog, entryHash, GENESIS_HASH };
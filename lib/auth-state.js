@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+
+// ==================== AUTH STATE BACKENDS ====================
+// Baileys auth state is a set of JSON documents per session: creds.json plus
+// one <type>-<id>.json per signal key, named exactly as useMultiFileAuthState
+// names its files (so session strings stay interchangeable). A backend stores
+// those documents as strings; every method returns a promise:
+//   read(sessionId, name)          document or null
+//   write(sessionId, name, value)
+//   remove(sessionId, name)
+//   readAll(sessionId)             { name: document }
+//   clear(sessionId)               drops every document of the session
+//   list()                         ids of sessions with stored state
+// loadAuthState() turns any backend into the { state, saveCreds } pair
+// makeWASocket expects.
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const KEY_SALT = 'pairing-auth-state';
+
+function authStateError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function checkDocumentName(name) {
+  if (path.basename(name) !== name || !name.endsWith('.json')) {
+    throw authStateError('INVALID_NAME', `Invalid auth state document name: ${name}`);
+  }
+}
+
+// Plain JSON files, one directory per session - the layout Baileys' own
+// useMultiFileAuthState writes.
+function createMultiFileBackend({ dir }) {
+  const sessionDir = sessionId => path.join(dir, encodeURIComponent(sessionId));
+
+  function documentPath(sessionId, name) {
+    checkDocumentName(name);
+    return path.join(sessionDir(sessionId), name);
+  }
+
+  async function read(sessionId, name) {
+    try {
+      return await fs.promises.readFile(documentPath(sessionId, name), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Written to a temp file and renamed so a crash never leaves half a creds.json
+  async function write(sessionId, name, value) {
+    const file = documentPath(sessionId, name);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const temp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(temp, value, { mode: 0o600 });
+    await fs.promises.rename(temp, file);
+  }
+
+  async function remove(sessionId, name) {
+    await fs.promises.rm(documentPath(sessionId, name), { force: true });
+  }
+
+  async function readAll(sessionId) {
+    let names;
+    try {
+      names = await fs.promises.readdir(sessionDir(sessionId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+
+    const documents = {};
+    for (const name of names.filter(name => name.endsWith('.json'))) {
+      documents[name] = await read(sessionId, name);
+    }
+    return documents;
+  }
+
+  async function clear(sessionId) {
+    await fs.promises.rm(sessionDir(sessionId), { recursive: true, force: true });
+  }
+
+  async function list() {
+    try {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => decodeURIComponent(entry.name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  return { type: 'multi-file', read, write, remove, readAll, clear, list, close: async () => {} };
+}
+
+// Every session in one SQLite file. better-sqlite3 is synchronous and only
+// needed for this backend, so it is loaded on demand.
+function createSqliteBackend({ file }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw authStateError('MISSING_DEPENDENCY', 'AUTH_STATE_BACKEND=sqlite needs the "better-sqlite3" package (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS auth_state (
+      session_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (session_id, name)
+    )
+  `);
+
+  const statements = {
+    read: db.prepare('SELECT value FROM auth_state WHERE session_id = ? AND name = ?'),
+    write: db.prepare(`
+      INSERT INTO auth_state (session_id, name, value, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (session_id, name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `),
+    remove: db.prepare('DELETE FROM auth_state WHERE session_id = ? AND name = ?'),
+    readAll: db.prepare('SELECT name, value FROM auth_state WHERE session_id = ?'),
+    clear: db.prepare('DELETE FROM auth_state WHERE session_id = ?'),
+    list: db.prepare('SELECT DISTINCT session_id FROM auth_state')
+  };
+
+  return {
+    type: 'sqlite',
+    read: async (sessionId, name) => {
+      const row = statements.read.get(sessionId, name);
+      return row ? row.value : null;
+    },
+    write: async (sessionId, name, value) => {
+      checkDocumentName(name);
+      statements.write.run(sessionId, name, value, Date.now());
+    },
+    remove: async (sessionId, name) => {
+      statements.remove.run(sessionId, name);
+    },
+    readAll: async (sessionId) => {
+      const documents = {};
+      for (const row of statements.readAll.all(sessionId)) {
+        documents[row.name] = row.value;
+      }
+      return documents;
+    },
+    clear: async (sessionId) => {
+      statements.clear.run(sessionId);
+    },
+    list: async () => statements.list.all().map(row => row.session_id),
+    close: async () => db.close()
+  };
+}
+
+// Wraps another backend so every document is stored AES-256-GCM encrypted.
+// The session id and document name are bound in as associated data, so a
+// document copied into another session or renamed fails to decrypt.
+function createEncryptedBackend(inner, secret) {
+  if (!secret) {
+    throw authStateError('MISSING_KEY', 'An encryption secret is required for the encrypted auth state backend');
+  }
+  const key = crypto.scryptSync(secret, KEY_SALT, 32);
+
+  function encrypt(sessionId, name, value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(`${sessionId}/${name}`));
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return ENCRYPTED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  }
+
+  function decrypt(sessionId, name, stored) {
+    if (stored === null) return null;
+    if (!stored.startsWith(ENCRYPTED_PREFIX)) {
+      throw authStateError('DECRYPT_FAILED', `Auth state ${name} of ${sessionId} is not encrypted`);
+    }
+
+    const raw = Buffer.from(stored.slice(ENCRYPTED_PREFIX.length), 'base64');
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12));
+      decipher.setAAD(Buffer.from(`${sessionId}/${name}`));
+      decipher.setAuthTag(raw.subarray(12, 28));
+      return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw authStateError('DECRYPT_FAILED', `Auth state ${name} of ${sessionId} could not be decrypted (wrong key or tampered file)`);
+    }
+  }
+
+  return {
+    ...inner,
+    type: `encrypted-${inner.type}`,
+    read: async (sessionId, name) => decrypt(sessionId, name, await inner.read(sessionId, name)),
+    write: (sessionId, name, value) => inner.write(sessionId, name, encrypt(sessionId, name, value)),
+    readAll: async (sessionId) => {
+      const documents = await inner.readAll(sessionId);
+      for (const name of Object.keys(documents)) {
+        documents[name] = decrypt(sessionId, name, documents[name]);
+      }
+      return documents;
+    }
+  };
+}
+
+function createAuthStateBackend({ type = 'multi-file', dir, file, secret } = {}) {
+  switch (type) {
+    case 'sqlite':
+      return createSqliteBackend({ file });
+    case 'encrypted-file':
+      return createEncryptedBackend(createMultiFileBackend({ dir }), secret);
+    default:
+      return createMultiFileBackend({ dir });
+  }
+}
+
+// ==================== BAILEYS AUTH STATE ====================
+// Same document names and serialization as useMultiFileAuthState, but
+// reading and writing through `backend`.
+function documentName(type, id) {
+  return `${type}-${id}.json`.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+async function loadAuthState(backend, sessionId) {
+  const readData = async (name) => {
+    const value = await backend.read(sessionId, name);
+    return value === null ? null : JSON.parse(value, BufferJSON.reviver);
+  };
+  const writeData = (name, data) => backend.write(sessionId, name, JSON.stringify(data, BufferJSON.replacer));
+
+  const creds = (await readData('creds.json')) || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          await Promise.all(ids.map(async (id) => {
+            let value = await readData(documentName(type, id));
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }));
+          return data;
+        },
+        set: async (data) => {
+          const tasks = [];
+          for (const [type, values] of Object.entries(data)) {
+            for (const [id, value] of Object.entries(values)) {
+              const name = documentName(type, id);
+              tasks.push(value ? writeData(name, value) : backend.remove(sessionId, name));
+            }
+          }
+          await Promise.all(tasks);
+        }
+      }
+    },
+    saveCreds: () => writeData('creds.json', creds)
+  };
+}
+
+module.exports = {
+  createAuthStateBackend,
+  createMultiFileBackend,
+  createSqliteBackend,
+  createEncryptedBackend,
+  loadAuthState
+};
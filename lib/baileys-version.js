@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const baileys = require('@whiskeysockets/baileys');
+const { logger } = require('./logger');
+
+// ==================== BAILEYS VERSION RESOLUTION ====================
+// Picks the WhatsApp Web version sockets announce, in order of preference:
+//   pinned   the version set in config, never fetched
+//   network  fetchLatestBaileysVersion(), cached on disk when it succeeds
+//   cache    the last version fetched successfully, when the fetch fails
+//   default  the version the installed Baileys ships with
+// A resolved version is reused for `refreshMs`, so new sessions don't each
+// wait on the network, and a failed fetch never blocks a connection.
+const FALLBACK_RETRY_MS = 60 * 1000;
+
+function parseVersion(value) {
+  const parts = Array.isArray(value) ? value : String(value).split('.');
+  const version = parts.map(Number);
+  return version.length === 3 && version.every(Number.isInteger) ? version : null;
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createVersionResolver({ pinned = null, cacheFile = null, refreshMs = 6 * 60 * 60 * 1000, timeoutMs = 5000 } = {}) {
+  const log = logger.child({ component: 'baileys-version' });
+  let current = null; // { version, source, resolvedAt, error }
+  let pending = null;
+
+  function readCache() {
+    if (!cacheFile) return null;
+    try {
+      const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+      const version = parseVersion(cached.version);
+      return version ? { version, fetchedAt: cached.fetchedAt } : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn({ file: cacheFile, err: error }, 'Ignoring unreadable Baileys version cache');
+      }
+      return null;
+    }
+  }
+
+  function writeCache(version) {
+    if (!cacheFile) return;
+    try {
+      fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+      fs.writeFileSync(cacheFile, JSON.stringify({ version, fetchedAt: new Date().toISOString() }) + '\n');
+    } catch (error) {
+      log.warn({ file: cacheFile, err: error }, 'Could not write Baileys version cache');
+    }
+  }
+
+  // Baileys reports a failed fetch through `error` rather than throwing
+  async function fetchLatest() {
+    const result = await withTimeout(baileys.fetchLatestBaileysVersion(), timeoutMs);
+    if (result.error) throw result.error;
+    const version = parseVersion(result.version);
+    if (!version) throw new Error(`Unexpected version ${JSON.stringify(result.version)}`);
+    return version;
+  }
+
+  async function lookup() {
+    const pinnedVersion = pinned && parseVersion(pinned);
+    if (pinnedVersion) {
+      return { version: pinnedVersion, source: 'pinned', error: null };
+    }
+
+    try {
+      const version = await fetchLatest();
+      writeCache(version);
+      return { version, source: 'network', error: null };
+    } catch (error) {
+      const cached = readCache();
+      if (cached) {
+        log.warn({ err: error, version: cached.version.join('.') }, 'Could not fetch the latest Baileys version, using the cached one');
+        return { version: cached.version, source: 'cache', error: error.message };
+      }
+
+      const fallback = baileys.DEFAULT_CONNECTION_CONFIG && parseVersion(baileys.DEFAULT_CONNECTION_CONFIG.version);
+      log.warn({ err: error }, 'Could not fetch the latest Baileys version, using the library default');
+      return { version: fallback || null, source: 'default', error: error.message };
+    }
+  }
+
+  // Resolves to a [major, minor, patch] version, or null to let Baileys
+  // use its built-in one. Concurrent callers share one lookup.
+  async function resolve() {
+    if (current) {
+      // A fallback is only kept for a minute before the network is tried again
+      const maxAge = current.error ? FALLBACK_RETRY_MS : refreshMs;
+      if (current.source === 'pinned' || Date.now() - current.resolvedAt.getTime() < maxAge) {
+        return current.version;
+      }
+    }
+
+    if (!pending) {
+      pending = lookup()
+        .then(result => {
+          current = { ...result, resolvedAt: new Date() };
+          return current.version;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  }
+
+  function status() {
+    if (!current) return { version: null, source: null, resolvedAt: null, error: null };
+    return {
+      version: current.version ? current.version.join('.') : null,
+      source: current.source,
+      resolvedAt: current.resolvedAt,
+      error: current.error
+    };
+  }
+
+  return { resolve, status };
+}
+
+module.exports = { createVersionResolver, parseVersion };
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// ==================== PAIRING CODE GENERATOR ====================
+// Codes are drawn with crypto.randomInt from one of these alphabets, or from
+// any custom string of distinct characters out of the whatsapp one. WhatsApp
+// refuses custom pairing codes with any other character, so 0, O, I and U
+// can never be used:
+//   whatsapp       the 32 characters WhatsApp's own codes use
+//   no-lookalikes  whatsapp without 1 and L, so no character reads as another
+// With `checkChar` the last character is a Luhn mod N check over the
+// alphabet, which catches any single mistyped character and most swapped
+// neighbours; `length` includes it. Codes are stored and compared in their
+// canonical form (upper case, no separators); format() groups them for
+// display, e.g. ABCD-EFGH.
+const ALPHABETS = {
+  whatsapp: '123456789ABCDEFGHJKLMNPQRSTVWXYZ',
+  'no-lookalikes': '23456789ABCDEFGHJKMNPQRSTVWXYZ'
+};
+
+// Typed instead of the character on the right when the alphabet lacks it
+const LOOKALIKES = { I: '1', L: '1' };
+
+function codeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Returns the alphabet's characters, or throws INVALID_ALPHABET
+function resolveAlphabet(alphabet) {
+  const chars = ALPHABETS[alphabet] || alphabet;
+  if (typeof chars !== 'string' || chars.length < 2 || ![...chars].every(char => ALPHABETS.whatsapp.includes(char))) {
+    throw codeError('INVALID_ALPHABET', `Code alphabet must be one of ${Object.keys(ALPHABETS).join(', ')} or at least 2 of the characters WhatsApp accepts in pairing codes (${ALPHABETS.whatsapp})`);
+  }
+  if (new Set(chars).size !== chars.length) {
+    throw codeError('INVALID_ALPHABET', 'Code alphabet must not repeat characters');
+  }
+  return chars;
+}
+
+// Luhn mod N: the character that makes the weighted sum a multiple of N
+function checkCharacter(body, chars) {
+  const n = chars.length;
+  let sum = 0;
+  let factor = 2;
+  for (let i = body.length - 1; i >= 0; i--) {
+    const addend = factor * chars.indexOf(body[i]);
+    sum += Math.floor(addend / n) + (addend % n);
+    factor = factor === 2 ? 1 : 2;
+  }
+  return chars[(n - (sum % n)) % n];
+}
+
+// `isTaken(code)` reports codes still in use; a generated code that is taken
+// is drawn again, up to `maxAttempts` times before CODE_SPACE_EXHAUSTED.
+function createCodeGenerator({
+  alphabet = 'whatsapp',
+  length = 8,
+  groupSize = 4,
+  separator = '-',
+  checkChar = false,
+  isTaken = () => false,
+  maxAttempts = 20
+} = {}) {
+  const chars = resolveAlphabet(alphabet);
+  const bodyLength = checkChar ? length - 1 : length;
+  if (!Number.isInteger(bodyLength) || bodyLength < 1) {
+    throw codeError('INVALID_LENGTH', `Code length ${length} leaves no room for random characters`);
+  }
+
+  function draw() {
+    let code = '';
+    for (let i = 0; i < bodyLength; i++) {
+      code += chars[crypto.randomInt(chars.length)];
+    }
+    return checkChar ? code + checkCharacter(code, chars) : code;
+  }
+
+  function generate() {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const code = draw();
+      if (!isTaken(code)) return code;
+    }
+    throw codeError('CODE_SPACE_EXHAUSTED', `No free pairing code after ${maxAttempts} attempts`);
+  }
+
+  // Accepts what people type or paste: any case, spaces, dashes, the
+  // display separator and, where the alphabet allows, I or L for 1
+  function normalize(input) {
+    return Array.from(String(input == null ? '' : input).toUpperCase())
+      .filter(char => !/[\s-]/.test(char) && char !== separator)
+      .map(char => (!chars.includes(char) && chars.includes(LOOKALIKES[char]) ? LOOKALIKES[char] : char))
+      .join('');
+  }
+
+  function format(code) {
+    if (!groupSize || !code) return code;
+    return code.match(new RegExp(`.{1,${groupSize}}`, 'g')).join(separator);
+  }
+
+  return { generate, normalize, format, alphabet: chars, length };
+}
+
+module.exports = { createCodeGenerator, resolveAlphabet, checkCharacter, ALPHABETS };
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DATE_FIELDS = ['createdAt', 'expiresAt', 'linkedAt'];
+const COMPACT_AFTER_OPS = 1000;
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// ==================== PAIRING CODE STORES ====================
+// Both stores expose the same synchronous API:
+//   get(code) / has(code) / put(entry) / update(code, patch) / delete(code)
+//   values() / size() / flush() / close()
+// Entries are plain objects keyed by `code`, with Date fields.
+
+function reviveEntry(entry) {
+  for (const field of DATE_FIELDS) {
+    if (entry[field]) entry[field] = new Date(entry[field]);
+  }
+  return entry;
+}
+
+function isLive(entry, now = Date.now()) {
+  return !entry.expiresAt || entry.expiresAt.getTime() > now;
+}
+
+function isPastRetention(entry, retentionMs, now = Date.now()) {
+  return Boolean(entry.expiresAt) && entry.expiresAt.getTime() + retentionMs <= now;
+}
+
+function createMemoryCodeStore() {
+  const codes = new Map();
+
+  return {
+    get: (code) => codes.get(code) || null,
+    has: (code) => codes.has(code),
+    put(entry) {
+      codes.set(entry.code, entry);
+      return entry;
+    },
+    update(code, patch) {
+      const entry = codes.get(code);
+      if (!entry) return null;
+      Object.assign(entry, patch);
+      return entry;
+    },
+    delete: (code) => codes.delete(code),
+    values: () => Array.from(codes.values()),
+    size: () => codes.size,
+    flush() {},
+    close() {}
+  };
+}
+
+// Replays a JSONL log (see below) into a memory store without touching the
+// file, so the CLI can read it while a server owns it
+function readCodeLog(file) {
+  const store = createMemoryCodeStore();
+  if (!fs.existsSync(file)) return store;
+
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record.op === 'put') store.put(reviveEntry(record.entry));
+      if (record.op === 'delete') store.delete(record.code);
+    } catch (error) {
+      logger.warn({ component: 'code-store', file }, 'Skipping unreadable line in code store');
+    }
+  }
+  return store;
+}
+
+// Keeps the same Map in memory and mirrors every change to a JSONL log:
+// {"op":"put","entry":{...}} or {"op":"delete","code":"..."}. At boot the
+// log is replayed, entries past `retentionMs` are dropped and the file is
+// compacted. Codes still pending are left for startCodeSweeper, which
+// reports them expired once it sees their sockets are gone.
+function createFileCodeStore({ file, retentionMs = DEFAULT_RETENTION_MS }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const store = readCodeLog(file);
+  let opsSinceCompact = 0;
+
+  const now = Date.now();
+  for (const entry of store.values()) {
+    if (isPastRetention(entry, retentionMs, now)) store.delete(entry.code);
+  }
+
+  function append(record) {
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+    if (++opsSinceCompact >= COMPACT_AFTER_OPS && opsSinceCompact > store.size() * 2) {
+      compact();
+    }
+  }
+
+  function compact() {
+    const tmp = `${file}.tmp`;
+    const lines = store.values().map(entry => JSON.stringify({ op: 'put', entry }) + '\n');
+    fs.writeFileSync(tmp, lines.join(''));
+    fs.renameSync(tmp, file);
+    opsSinceCompact = 0;
+  }
+
+  compact();
+
+  return {
+    ...store,
+    put(entry) {
+      store.put(entry);
+      append({ op: 'put', entry });
+      return entry;
+    },
+    update(code, patch) {
+      const entry = store.update(code, patch);
+      if (entry) append({ op: 'put', entry });
+      return entry;
+    },
+    delete(code) {
+      const existed = store.delete(code);
+      if (existed) append({ op: 'delete', code });
+      return existed;
+    },
+    flush: compact,
+    close: compact
+  };
+}
+
+// One interval for every code instead of a setTimeout per code: pending
+// codes past expiresAt become 'expired', and anything older than the
+// retention window is dropped from the store. `hasSession(entry)`, when
+// given, says whether the socket behind a pending code still exists; codes
+// a previous process left pending are expired on the first sweep.
+function startCodeSweeper(store, { intervalMs = 30000, retentionMs = DEFAULT_RETENTION_MS, hasSession, onExpire } = {}) {
+  const sweep = () => {
+    const now = Date.now();
+    for (const entry of store.values()) {
+      const orphaned = hasSession && !hasSession(entry);
+      if (entry.status === 'pending' && (!isLive(entry, now) || orphaned)) {
+        store.update(entry.code, { status: 'expired' });
+        if (onExpire) onExpire(entry);
+      }
+      if (isPastRetention(entry, retentionMs, now)) {
+        store.delete(entry.code);
+      }
+    }
+  };
+
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+  return { sweep, stop: () => clearInterval(timer) };
+}
+
+function createCodeStore(options = {}) {
+  return options.type === 'memory' ? createMemoryCodeStore() : createFileCodeStore(options);
+}
+
+module.exports = {
+  createCodeStore,
+  createMemoryCodeStore,
+  createFileCodeStore,
+  readCodeLog,
+  startCodeSweeper
+};
@@ -0,0 +1,491 @@
+const fs = require('fs');
+const path = require('path');
+const PhoneNumber = require('./phone-number');
+const { EVENT_TYPES } = require('./webhooks');
+const { LEVELS } = require('./logger');
+const { resolveAlphabet } = require('./code-generator');
+
+// ==================== CONFIG SCHEMA ====================
+// Every setting has a default, an optional env override and a validator.
+// Precedence: defaults < config file < environment variables.
+// The file is CONFIG_FILE if set, else config.json / config.yaml /
+// config.yml next to server.js. Keys use the same names as CONFIG.
+const DEFAULT_FILES = ['config.json', 'config.yaml', 'config.yml'];
+
+const SCHEMA = {
+  PORT: { type: 'integer', default: 5000, min: 1, max: 65535, env: 'PORT' },
+  PUBLIC_URL: { type: 'string', default: null, env: 'PUBLIC_URL' },
+
+  // Branding
+  COMPANY_NAME: { type: 'string', default: 'IAN TECH', env: 'COMPANY_NAME' },
+  TAGLINE: { type: 'string', default: 'WhatsApp Device Pairing Service v5.5', env: 'TAGLINE' },
+  SESSION_PREFIX: { type: 'string', default: 'IAN TECH', env: 'SESSION_PREFIX', pattern: /^[^_]+$/, patternHint: 'must not contain "_"' },
+  LOGO_URL: { type: 'string', default: '/img/logo.svg', env: 'LOGO_URL' },
+  FOOTER_TEXT: { type: 'string', default: null, env: 'FOOTER_TEXT' },
+  THEME: {
+    type: 'object',
+    env: null,
+    default: {
+      primaryColor: '#25D366',
+      secondaryColor: '#128C7E',
+      darkColor: '#075E54',
+      backgroundStart: '#667eea',
+      backgroundEnd: '#764ba2'
+    },
+    validate: validateTheme,
+    envFields: {
+      THEME_PRIMARY_COLOR: { field: 'primaryColor', type: 'string' },
+      THEME_SECONDARY_COLOR: { field: 'secondaryColor', type: 'string' },
+      THEME_DARK_COLOR: { field: 'darkColor', type: 'string' },
+      THEME_BACKGROUND_START: { field: 'backgroundStart', type: 'string' },
+      THEME_BACKGROUND_END: { field: 'backgroundEnd', type: 'string' }
+    }
+  },
+
+  // Tenants: [{ id, name, ... }] (see lib/tenants.js), each served at
+  // /t/<id>, on <id>.<your domain> and on its own `hosts`. The settings above
+  // are the default tenant, and DAILY_PAIRING_QUOTA its daily limit.
+  TENANTS: { type: 'array', default: [], env: 'TENANTS', validate: validateTenants },
+  DAILY_PAIRING_QUOTA: { type: 'integer', default: null, min: 1, env: 'DAILY_PAIRING_QUOTA' },
+  TENANT_USAGE_STORE: { type: 'string', default: 'file', env: 'TENANT_USAGE_STORE', oneOf: ['file', 'memory'] },
+  TENANT_USAGE_FILE: { type: 'path', default: 'data/tenant-usage.json', env: 'TENANT_USAGE_FILE' },
+
+  // Pairing
+  CODE_LENGTH: { type: 'integer', default: 8, env: 'CODE_LENGTH' },
+  // Codes are generated here (see lib/code-generator.js) and handed to
+  // WhatsApp. CODE_ALPHABET is whatsapp, no-lookalikes or your own choice of
+  // whatsapp's characters; CODE_GROUP_SIZE 0 shows codes ungrouped.
+  CODE_ALPHABET: { type: 'string', default: 'whatsapp', env: 'CODE_ALPHABET', validate: validateAlphabet },
+  CODE_GROUP_SIZE: { type: 'integer', default: 4, min: 0, max: 8, env: 'CODE_GROUP_SIZE' },
+  CODE_SEPARATOR: { type: 'string', default: '-', env: 'CODE_SEPARATOR', pattern: /^[^A-Za-z0-9]$/, patternHint: 'must be one character other than a letter or digit' },
+  CODE_CHECK_CHAR: { type: 'boolean', default: false, env: 'CODE_CHECK_CHAR' },
+  CODE_EXPIRY_MINUTES: { type: 'integer', default: 10, min: 1, max: 60, env: 'CODE_EXPIRY_MINUTES' },
+  MAX_SESSIONS: { type: 'integer', default: 20, min: 1, env: 'MAX_SESSIONS' },
+  DEFAULT_COUNTRY: { type: 'string', default: 'KE', env: 'DEFAULT_COUNTRY', oneOf: PhoneNumber.COUNTRIES.map(country => country.iso) },
+  SESSIONS_DIR: { type: 'path', default: 'pairing_sessions', env: 'SESSIONS_DIR' },
+  // How long POST /check-session waits on WhatsApp for a live check, and
+  // how many live checks may hold a socket at once
+  SESSION_CHECK_TIMEOUT_MS: { type: 'integer', default: 20000, min: 1000, env: 'SESSION_CHECK_TIMEOUT_MS' },
+  SESSION_CHECK_MAX_LIVE: { type: 'integer', default: 2, min: 1, env: 'SESSION_CHECK_MAX_LIVE' },
+
+  // Auth state: multi-file and encrypted-file keep one directory per session
+  // under SESSIONS_DIR, sqlite keeps every session in AUTH_STATE_FILE
+  AUTH_STATE_BACKEND: { type: 'string', default: 'multi-file', env: 'AUTH_STATE_BACKEND', oneOf: ['multi-file', 'sqlite', 'encrypted-file'] },
+  AUTH_STATE_FILE: { type: 'path', default: 'data/auth-state.sqlite', env: 'AUTH_STATE_FILE' },
+  AUTH_STATE_SECRET: { type: 'string', default: null, env: 'AUTH_STATE_SECRET', minLength: 32 },
+
+  // Logging: BAILEYS_LOG_LEVEL is the default for every session's socket;
+  // single sessions can be raised from the admin API while debugging
+  LOG_LEVEL: { type: 'string', default: 'info', env: 'LOG_LEVEL', oneOf: LEVELS },
+  BAILEYS_LOG_LEVEL: { type: 'string', default: 'silent', env: 'BAILEYS_LOG_LEVEL', oneOf: LEVELS },
+
+  // Shutdown: how long SIGTERM waits for in-flight pairings to finish
+  SHUTDOWN_DRAIN_TIMEOUT_MS: { type: 'integer', default: 30000, min: 0, env: 'SHUTDOWN_DRAIN_TIMEOUT_MS' },
+
+  // Admin
+  ADMIN_TOKEN: { type: 'string', default: null, env: 'ADMIN_TOKEN', minLength: 12 },
+  METRICS_TOKEN: { type: 'string', default: null, env: 'METRICS_TOKEN', minLength: 12 },
+
+  // API clients: [{ name, key, tenant? }]; /api/v1 is disabled while this is
+  // empty. A key with a `tenant` only ever acts for that tenant.
+  API_KEYS: { type: 'array', default: [], env: 'API_KEYS', validate: validateApiKeys },
+
+  // Audit log (see lib/audit-log.js); AUDIT_HASH_SECRET keys the phone
+  // number hashes, else a random key is kept in AUDIT_LOG_FILE.key
+  AUDIT_LOG_FILE: { type: 'path', default: 'data/audit-log.jsonl', env: 'AUDIT_LOG_FILE' },
+  AUDIT_HASH_SECRET: { type: 'string', default: null, env: 'AUDIT_HASH_SECRET', minLength: 32 },
+
+  // Storage
+  CODE_STORE: { type: 'string', default: 'file', env: 'CODE_STORE', oneOf: ['file', 'memory'] },
+  CODE_STORE_FILE: { type: 'path', default: 'data/pairing-codes.jsonl', env: 'CODE_STORE_FILE' },
+  CODE_RETENTION_HOURS: { type: 'integer', default: 24, min: 1, env: 'CODE_RETENTION_HOURS' },
+
+  // Abuse protection. TRUST_PROXY is how many reverse proxies sit in front of
+  // the server, whose X-Forwarded-For/-Host headers are believed for the
+  // client IP (rate limits, audit log) and host (tenants). Leave it at 0 when
+  // clients connect directly, or anyone can pick their own IP; Replit and
+  // most PaaS hosts put one proxy in front, so set 1 there (.replit does).
+  // A warning is logged if X-Forwarded-For shows up while it is 0.
+  TRUST_PROXY: { type: 'integer', default: 0, min: 0, env: 'TRUST_PROXY' },
+  RATE_LIMIT_STORE: { type: 'string', default: 'memory', env: 'RATE_LIMIT_STORE', oneOf: ['memory', 'file'] },
+  RATE_LIMIT_FILE: { type: 'path', default: 'data/rate-limits.json', env: 'RATE_LIMIT_FILE' },
+  RATE_LIMITS: {
+    type: 'object',
+    env: 'RATE_LIMITS',
+    default: {
+      ip: { windowMs: 10 * 60 * 1000, max: 10 },
+      phone: { windowMs: 10 * 60 * 1000, max: 3, cooldownMs: 30 * 60 * 1000 }
+    },
+    validate: validateRateLimits
+  },
+  // Proof of work (see lib/proof-of-work.js): the page solves a SHA-256
+  // puzzle of POW_DIFFICULTY leading zero bits before each pairing, one bit
+  // harder per doubling of pairing requests over POW_TARGET_PER_MINUTE, up
+  // to POW_MAX_DIFFICULTY. Instances behind one load balancer need the same
+  // POW_SECRET; without it each process signs with a random one.
+  POW_ENABLED: { type: 'boolean', default: true, env: 'POW_ENABLED' },
+  POW_SECRET: { type: 'string', default: null, env: 'POW_SECRET', minLength: 32 },
+  POW_DIFFICULTY: { type: 'integer', default: 18, min: 1, max: 32, env: 'POW_DIFFICULTY' },
+  POW_MAX_DIFFICULTY: { type: 'integer', default: 22, min: 1, max: 32, env: 'POW_MAX_DIFFICULTY' },
+  POW_TARGET_PER_MINUTE: { type: 'integer', default: 30, min: 1, env: 'POW_TARGET_PER_MINUTE' },
+  POW_CHALLENGE_TTL_MS: { type: 'integer', default: 120000, min: 10000, env: 'POW_CHALLENGE_TTL_MS' },
+
+  // Webhooks: [{ url, secret, events? }] - events defaults to all types
+  WEBHOOKS: { type: 'array', default: [], env: 'WEBHOOKS', validate: validateWebhooks },
+  WEBHOOK_MAX_ATTEMPTS: { type: 'integer', default: 6, min: 1, max: 20, env: 'WEBHOOK_MAX_ATTEMPTS' },
+  WEBHOOK_DEAD_LETTER_FILE: { type: 'path', default: 'data/webhook-dead-letters.jsonl', env: 'WEBHOOK_DEAD_LETTER_FILE' },
+
+  // Reconnection (see lib/reconnect.js); RECONNECT_MAX_RESTARTS caps the
+  // restarts WhatsApp asks for in a row without the connection opening
+  RECONNECT_BASE_DELAY_MS: { type: 'integer', default: 1000, min: 100, env: 'RECONNECT_BASE_DELAY_MS' },
+  RECONNECT_MAX_DELAY_MS: { type: 'integer', default: 60000, min: 1000, env: 'RECONNECT_MAX_DELAY_MS' },
+  RECONNECT_MAX_ATTEMPTS: { type: 'integer', default: 8, min: 1, env: 'RECONNECT_MAX_ATTEMPTS' },
+  RECONNECT_MAX_RESTARTS: { type: 'integer', default: 3, min: 1, env: 'RECONNECT_MAX_RESTARTS' },
+  CIRCUIT_BREAKER_THRESHOLD: { type: 'integer', default: 5, min: 1, env: 'CIRCUIT_BREAKER_THRESHOLD' },
+  CIRCUIT_BREAKER_COOLDOWN_MS: { type: 'integer', default: 60000, min: 1000, env: 'CIRCUIT_BREAKER_COOLDOWN_MS' },
+
+  // WhatsApp Web version (see lib/baileys-version.js); set BAILEYS_VERSION
+  // to pin one, e.g. 2.3000.1015901307
+  BAILEYS_VERSION: { type: 'string', default: null, env: 'BAILEYS_VERSION', pattern: /^\d+\.\d+\.\d+$/, patternHint: 'must look like 2.3000.1015901307' },
+  BAILEYS_VERSION_CACHE_FILE: { type: 'path', default: 'data/baileys-version.json', env: 'BAILEYS_VERSION_CACHE_FILE' },
+  BAILEYS_VERSION_REFRESH_HOURS: { type: 'integer', default: 6, min: 1, env: 'BAILEYS_VERSION_REFRESH_HOURS' },
+
+  // Passed to makeWASocket as-is (Baileys option names)
+  SOCKET_OPTIONS: {
+    type: 'object',
+    env: null,
+    default: {
+      browser: ['IAN-TECH-Pairing', 'Chrome', '121.0.0.0'],
+      syncFullHistory: false,
+      connectTimeoutMs: 60000,
+      keepAliveIntervalMs: 10000,
+      markOnlineOnConnect: false
+    },
+    validate: validateSocketOptions,
+    envFields: {
+      SOCKET_BROWSER: { field: 'browser', type: 'list' },
+      SOCKET_SYNC_FULL_HISTORY: { field: 'syncFullHistory', type: 'boolean' },
+      SOCKET_CONNECT_TIMEOUT_MS: { field: 'connectTimeoutMs', type: 'integer' },
+      SOCKET_KEEP_ALIVE_INTERVAL_MS: { field: 'keepAliveIntervalMs', type: 'integer' },
+      SOCKET_DEFAULT_QUERY_TIMEOUT_MS: { field: 'defaultQueryTimeoutMs', type: 'integer' },
+      SOCKET_MARK_ONLINE_ON_CONNECT: { field: 'markOnlineOnConnect', type: 'boolean' }
+    }
+  }
+};
+
+function configError(source, problems) {
+  const error = new Error(`Invalid configuration${source ? ` (${source})` : ''}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  error.code = 'INVALID_CONFIG';
+  error.problems = problems;
+  return error;
+}
+
+// ==================== VALIDATORS ====================
+function validateAlphabet(value) {
+  try {
+    resolveAlphabet(value);
+    return [];
+  } catch (error) {
+    return [`CODE_ALPHABET: ${error.message} (got ${JSON.stringify(value)})`];
+  }
+}
+
+function validateRateLimits(value) {
+  const problems = [];
+  for (const [name, rule] of Object.entries(value || {})) {
+    if (!rule || !Number.isInteger(rule.windowMs) || rule.windowMs <= 0) {
+      problems.push(`RATE_LIMITS.${name}.windowMs must be a positive integer`);
+    }
+    if (!rule || !Number.isInteger(rule.max) || rule.max <= 0) {
+      problems.push(`RATE_LIMITS.${name}.max must be a positive integer`);
+    }
+    if (rule && rule.cooldownMs !== undefined && (!Number.isInteger(rule.cooldownMs) || rule.cooldownMs < 0)) {
+      problems.push(`RATE_LIMITS.${name}.cooldownMs must be a non-negative integer`);
+    }
+  }
+  return problems;
+}
+
+function validateWebhooks(value) {
+  const problems = [];
+  value.forEach((endpoint, index) => {
+    const where = `WEBHOOKS[${index}]`;
+    if (!endpoint || typeof endpoint.url !== 'string' || !/^https?:\/\//.test(endpoint.url)) {
+      problems.push(`${where}.url must be an http(s) URL`);
+    }
+    if (!endpoint || typeof endpoint.secret !== 'string' || endpoint.secret.length < 16) {
+      problems.push(`${where}.secret must be a string of at least 16 characters`);
+    }
+    if (endpoint && endpoint.events !== undefined) {
+      const unknown = Array.isArray(endpoint.events)
+        ? endpoint.events.filter(event => !EVENT_TYPES.includes(event))
+        : ['(not a list)'];
+      if (unknown.length) {
+        problems.push(`${where}.events has unknown event types: ${unknown.join(', ')} (known: ${EVENT_TYPES.join(', ')})`);
+      }
+    }
+  });
+  return problems;
+}
+
+function validateApiKeys(value) {
+  const problems = [];
+  const names = new Set();
+  value.forEach((client, index) => {
+    const where = `API_KEYS[${index}]`;
+    if (!client || typeof client.name !== 'string' || !client.name) {
+      problems.push(`${where}.name must be a non-empty string`);
+    } else if (names.has(client.name)) {
+      problems.push(`${where}.name "${client.name}" is used twice`);
+    } else {
+      names.add(client.name);
+    }
+    if (!client || typeof client.key !== 'string' || client.key.length < 24) {
+      problems.push(`${where}.key must be a string of at least 24 characters`);
+    }
+  });
+  return problems;
+}
+
+function validateTenants(value) {
+  const problems = [];
+  const ids = new Set();
+  value.forEach((tenant, index) => {
+    const where = `TENANTS[${index}]`;
+    if (!tenant || typeof tenant !== 'object') {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    if (typeof tenant.id !== 'string' || !/^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/.test(tenant.id) || tenant.id === 'default') {
+      problems.push(`${where}.id must be lower-case letters, digits and dashes, and not "default" (got ${JSON.stringify(tenant.id)})`);
+    } else if (ids.has(tenant.id)) {
+      problems.push(`${where}.id "${tenant.id}" is used twice`);
+    } else {
+      ids.add(tenant.id);
+    }
+    if (typeof tenant.name !== 'string' || !tenant.name) {
+      problems.push(`${where}.name must be a non-empty string`);
+    }
+    for (const field of ['tagline', 'logoUrl', 'footerText', 'sessionPrefix']) {
+      if (tenant[field] !== undefined && (typeof tenant[field] !== 'string' || !tenant[field])) {
+        problems.push(`${where}.${field} must be a non-empty string`);
+      }
+    }
+    // The prefix is cut off at the first "_" when a session string is read
+    const prefix = tenant.sessionPrefix || tenant.name;
+    if (typeof prefix === 'string' && prefix.includes('_')) {
+      problems.push(`${where}.sessionPrefix must not contain "_"${tenant.sessionPrefix ? '' : ' (it defaults to the name)'}`);
+    }
+    if (tenant.theme !== undefined) {
+      if (!tenant.theme || typeof tenant.theme !== 'object' || Array.isArray(tenant.theme)) {
+        problems.push(`${where}.theme must be an object like THEME`);
+      } else {
+        problems.push(...validateTheme(tenant.theme).map(problem => `${where}.${problem.replace(/^THEME/, 'theme')}`));
+      }
+    }
+    if (tenant.hosts !== undefined && (!Array.isArray(tenant.hosts) || !tenant.hosts.every(host => typeof host === 'string' && host))) {
+      problems.push(`${where}.hosts must be a list of host names`);
+    }
+    if (tenant.dailyQuota !== undefined && tenant.dailyQuota !== null && (!Number.isInteger(tenant.dailyQuota) || tenant.dailyQuota < 1)) {
+      problems.push(`${where}.dailyQuota must be a positive integer, or null for no quota`);
+    }
+  });
+  return problems;
+}
+
+// Theme colours end up inside a <style> block, so only plain hex is allowed
+function validateTheme(value) {
+  const problems = [];
+  for (const [field, colour] of Object.entries(value)) {
+    if (typeof colour !== 'string' || !/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(colour)) {
+      problems.push(`THEME.${field} must be a hex colour such as #25D366 (got ${JSON.stringify(colour)})`);
+    }
+  }
+  return problems;
+}
+
+function validateSocketOptions(value) {
+  const problems = [];
+  const { browser } = value;
+  if (!Array.isArray(browser) || browser.length !== 3 || !browser.every(part => typeof part === 'string' && part)) {
+    problems.push('SOCKET_OPTIONS.browser must be a [name, browser, version] list of three strings');
+  }
+  for (const field of ['connectTimeoutMs', 'keepAliveIntervalMs', 'defaultQueryTimeoutMs']) {
+    if (value[field] !== undefined && (!Number.isInteger(value[field]) || value[field] < 0)) {
+      problems.push(`SOCKET_OPTIONS.${field} must be a non-negative integer`);
+    }
+  }
+  for (const field of ['syncFullHistory', 'markOnlineOnConnect']) {
+    if (value[field] !== undefined && typeof value[field] !== 'boolean') {
+      problems.push(`SOCKET_OPTIONS.${field} must be true or false`);
+    }
+  }
+  return problems;
+}
+
+// ==================== PARSING ====================
+function parseEnvValue(raw, type) {
+  switch (type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(raw)) return true;
+      if (/^(false|0|no|off)$/i.test(raw)) return false;
+      return raw;
+    case 'list':
+      return raw.split(',').map(part => part.trim());
+    case 'object':
+    case 'array':
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        return raw;
+      }
+    default:
+      return raw;
+  }
+}
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.ya?ml$/i.test(file)) {
+    let YAML;
+    try {
+      YAML = require('yaml');
+    } catch (error) {
+      throw configError(file, ['YAML config files need the "yaml" package (npm install yaml)']);
+    }
+    return YAML.parse(text) || {};
+  }
+  return JSON.parse(text);
+}
+
+function findConfigFile(baseDir, env) {
+  if (env.CONFIG_FILE) {
+    const file = path.resolve(baseDir, env.CONFIG_FILE);
+    if (!fs.existsSync(file)) {
+      throw configError(null, [`CONFIG_FILE points to ${file}, which does not exist`]);
+    }
+    return file;
+  }
+  return DEFAULT_FILES.map(name => path.join(baseDir, name)).find(file => fs.existsSync(file)) || null;
+}
+
+function checkValue(key, spec, value, origin) {
+  const got = `(got ${JSON.stringify(value)} from ${origin})`;
+
+  if (value === null || value === undefined) return null;
+
+  switch (spec.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return `${key} must be an integer ${got}`;
+      if (spec.min !== undefined && value < spec.min) return `${key} must be at least ${spec.min} ${got}`;
+      if (spec.max !== undefined && value > spec.max) return `${key} must be at most ${spec.max} ${got}`;
+      return null;
+    case 'string':
+    case 'path':
+      if (typeof value !== 'string' || !value) return `${key} must be a non-empty string ${got}`;
+      if (spec.oneOf && !spec.oneOf.includes(value)) return `${key} must be one of ${spec.oneOf.join(', ')} ${got}`;
+      if (spec.pattern && !spec.pattern.test(value)) return `${key} ${spec.patternHint} ${got}`;
+      if (spec.minLength && value.length < spec.minLength) return `${key} must be at least ${spec.minLength} characters long (from ${origin})`;
+      return null;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return `${key} must be an object ${got}`;
+      return null;
+    case 'array':
+      if (!Array.isArray(value)) return `${key} must be a list ${got}`;
+      return null;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${key} must be true or false ${got}`;
+      return null;
+    default:
+      return null;
+  }
+}
+
+// ==================== LOADER ====================
+// Returns a frozen CONFIG object or throws an INVALID_CONFIG error listing every
+// problem found, so a bad deploy fails at startup with one clear message.
+function loadConfig({ baseDir, env = process.env } = {}) {
+  const file = findConfigFile(baseDir, env);
+  let fromFile = {};
+  if (file) {
+    try {
+      fromFile = readConfigFile(file);
+    } catch (error) {
+      if (error.code === 'INVALID_CONFIG') throw error;
+      throw configError(file, [`could not be parsed: ${error.message}`]);
+    }
+  }
+
+  const source = file ? path.relative(baseDir, file) : null;
+  const problems = [];
+  const config = {};
+
+  for (const key of Object.keys(fromFile)) {
+    if (!SCHEMA[key]) problems.push(`${key} is not a known setting (in ${source})`);
+  }
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    let value = spec.default;
+    let origin = 'defaults';
+
+    if (fromFile[key] !== undefined) {
+      value = spec.type === 'object' ? { ...spec.default, ...fromFile[key] } : fromFile[key];
+      origin = source;
+    }
+
+    if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') {
+      value = parseEnvValue(env[spec.env], spec.type);
+      origin = `env ${spec.env}`;
+    }
+
+    if (spec.envFields) {
+      value = { ...value };
+      for (const [envName, { field, type }] of Object.entries(spec.envFields)) {
+        if (env[envName] !== undefined && env[envName] !== '') {
+          value[field] = parseEnvValue(env[envName], type);
+        }
+      }
+    }
+
+    const problem = checkValue(key, spec, value, origin);
+    if (problem) {
+      problems.push(problem);
+    } else if (spec.validate) {
+      problems.push(...spec.validate(value));
+    }
+
+    config[key] = spec.type === 'path' && value ? path.resolve(baseDir, value) : value;
+  }
+
+  if (config.AUTH_STATE_BACKEND === 'encrypted-file' && !config.AUTH_STATE_SECRET) {
+    problems.push('AUTH_STATE_SECRET must be set when AUTH_STATE_BACKEND is encrypted-file');
+  }
+
+  if (Number.isInteger(config.POW_DIFFICULTY) && Number.isInteger(config.POW_MAX_DIFFICULTY) &&
+      config.POW_MAX_DIFFICULTY < config.POW_DIFFICULTY) {
+    problems.push(`POW_MAX_DIFFICULTY (${config.POW_MAX_DIFFICULTY}) must not be below POW_DIFFICULTY (${config.POW_DIFFICULTY})`);
+  }
+
+  const tenantIds = Array.isArray(config.TENANTS) ? config.TENANTS.map(tenant => tenant && tenant.id) : [];
+  (Array.isArray(config.API_KEYS) ? config.API_KEYS : []).forEach((client, index) => {
+    if (client && client.tenant !== undefined && !tenantIds.includes(client.tenant)) {
+      problems.push(`API_KEYS[${index}].tenant "${client.tenant}" is not one of the TENANTS ids`);
+    }
+  });
+
+  // Baileys refuses custom pairing codes of any other length
+  if (Number.isInteger(config.CODE_LENGTH) && config.CODE_LENGTH !== 8) {
+    problems.push(`CODE_LENGTH must be 8, the only length WhatsApp accepts for pairing codes (got ${config.CODE_LENGTH}); with CODE_CHECK_CHAR the check character is one of the 8`);
+  }
+
+  if (problems.length) {
+    throw configError(source, problems);
+  }
+
+  config.CONFIG_SOURCE = source || 'defaults';
+  return Object.freeze(config);
+}
+
+module.exports = { loadConfig, SCHEMA };
@@ -0,0 +1,97 @@
+const { logger } = require('./logger');
+
+// ==================== GRACEFUL SHUTDOWN ====================
+// On SIGTERM or SIGINT the service stops taking new pairings (503 from
+// `rejectWhileDraining`), waits up to `drainTimeoutMs` for `isDrained()` to
+// report that in-flight pairings have finished, then runs the registered
+// shutdown steps in order and exits. A second signal, or steps that take
+// longer than `forceAfterMs`, exits immediately.
+const DRAIN_POLL_MS = 500;
+
+function createLifecycle({ drainTimeoutMs = 30000, forceAfterMs = 15000, isDrained = () => true } = {}) {
+  const log = logger.child({ component: 'lifecycle' });
+  const steps = [];
+  let state = 'running'; // running -> draining -> stopping
+  let shuttingDown = null;
+
+  function waitForDrain() {
+    return new Promise((resolve) => {
+      const deadline = Date.now() + drainTimeoutMs;
+      const check = () => {
+        if (isDrained()) return resolve(true);
+        if (Date.now() >= deadline) return resolve(false);
+        setTimeout(check, DRAIN_POLL_MS);
+      };
+      check();
+    });
+  }
+
+  async function runSteps() {
+    for (const { name, run } of steps) {
+      try {
+        await run();
+        log.debug({ step: name }, 'Shutdown step finished');
+      } catch (error) {
+        log.error({ step: name, err: error }, 'Shutdown step failed');
+      }
+    }
+  }
+
+  // Resolves once every step has run; never rejects
+  function shutdown(signal) {
+    if (shuttingDown) return shuttingDown;
+
+    state = 'draining';
+    log.info({ signal, drainTimeoutMs }, 'Shutting down, draining in-flight pairings');
+
+    shuttingDown = waitForDrain().then(async (drained) => {
+      if (!drained) {
+        log.warn('Drain timeout reached, closing remaining sessions');
+      }
+      state = 'stopping';
+
+      const force = setTimeout(() => {
+        log.error({ forceAfterMs }, 'Shutdown steps took too long, exiting');
+        process.exit(1);
+      }, forceAfterMs);
+      force.unref();
+
+      await runSteps();
+      clearTimeout(force);
+      log.info('Shutdown complete');
+    });
+    return shuttingDown;
+  }
+
+  function handleSignals() {
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.on(signal, () => {
+        if (shuttingDown) {
+          log.warn({ signal }, 'Second signal received, exiting immediately');
+          process.exit(1);
+        }
+        shutdown(signal).then(() => process.exit(0));
+      });
+    }
+  }
+
+  function rejectWhileDraining(req, res, next) {
+    if (state === 'running') return next();
+    res.set('Connection', 'close');
+    res.set('Retry-After', String(Math.ceil(drainTimeoutMs / 1000)));
+    res.status(503).json({ success: false, message: 'The server is restarting. Please try again in a moment.' });
+  }
+
+  return {
+    // Steps run in registration order after the drain
+    onShutdown: (name, run) => steps.push({ name, run }),
+    shutdown,
+    handleSignals,
+    rejectWhileDraining,
+    drainTimeoutMs,
+    state: () => state,
+    isRunning: () => state === 'running'
+  };
+}
+
+module.exports = { createLifecycle };
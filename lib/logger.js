@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const pino = require('pino');
+
+// ==================== LOGGING ====================
+// One pino logger for the whole app; server.js sets its level from CONFIG
+// and modules take children of it (with a component, sessionId or
+// requestId binding) inside their factories, so the level applies.
+// Personal data and secrets are redacted by field name, so they must be
+// logged as fields and never interpolated into the message:
+//   phone numbers / JIDs   +254*******26
+//   pairing codes          AB******
+//   creds, keys, tokens    [REDACTED]
+const LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'];
+
+const PHONE_FIELDS = ['phoneNumber', 'phone', 'jid', 'linkedTo'];
+const CODE_FIELDS = ['code', 'pairingCode'];
+const SECRET_FIELDS = ['creds', 'keys', 'sessionString', 'secret', 'token'];
+
+// Phone numbers and secrets also one level down (e.g. Baileys' own log
+// objects). Codes only at the top level, since `*.code` would also catch
+// error codes such as err.code.
+const REDACT_PATHS = [
+  ...[...PHONE_FIELDS, ...SECRET_FIELDS].flatMap(field => [field, `*.${field}`]),
+  ...CODE_FIELDS,
+  'req.headers.authorization',
+  'req.headers["x-admin-token"]',
+  'req.headers.cookie'
+];
+
+function maskPhone(value) {
+  const text = String(value);
+  const digits = text.split('@')[0].split(':')[0].replace(/\D/g, '');
+  if (digits.length <= 5) return '*'.repeat(digits.length);
+  return `+${digits.slice(0, 3)}${'*'.repeat(digits.length - 5)}${digits.slice(-2)}`;
+}
+
+function maskCode(value) {
+  const text = String(value);
+  return text.slice(0, 2) + '*'.repeat(Math.max(0, text.length - 2));
+}
+
+function censor(value, path) {
+  if (value === null || value === undefined) return value;
+  const field = path[path.length - 1];
+  if (PHONE_FIELDS.includes(field)) return maskPhone(value);
+  if (CODE_FIELDS.includes(field)) return maskCode(value);
+  return '[REDACTED]';
+}
+
+function createLogger({ level = 'info' } = {}) {
+  return pino({
+    level,
+    base: { pid: process.pid },
+    timestamp: pino.stdTimeFunctions.isoTime,
+    redact: { paths: REDACT_PATHS, censor }
+  });
+}
+
+const logger = createLogger();
+
+// ==================== REQUEST LOGGING ====================
+// Gives every request a correlation id (taken from X-Request-Id when the
+// caller or a proxy sent a sane one), echoes it back, exposes req.log as a
+// child logger carrying it, and logs one line when the response finishes.
+function requestLogger(logger) {
+  return (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    req.log = logger.child({ requestId: req.id });
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      req.log[level]({
+        method: req.method,
+        // The route pattern rather than the URL, which can hold codes and ids
+        path: req.route ? req.baseUrl + req.route.path : req.path,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        ip: req.ip
+      }, 'request completed');
+    });
+
+    next();
+  };
+}
+
+module.exports = { logger, createLogger, requestLogger, maskPhone, maskCode, LEVELS };
@@ -0,0 +1,129 @@
+const client = require('prom-client');
+
+// ==================== PROMETHEUS METRICS ====================
+// The pairing funnel (codes generated -> linked / expired), how long users
+// take to link, how long WhatsApp takes to hand out a code or QR, socket
+// health and HTTP traffic. Everything lives on its own registry so tests
+// or a second instance in the same process don't collide.
+function createMetrics({ sessions }) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  const codesGenerated = new client.Counter({
+    name: 'pairing_codes_generated_total',
+    help: 'Pairing codes issued by WhatsApp',
+    registers: [registry]
+  });
+
+  const codesExpired = new client.Counter({
+    name: 'pairing_codes_expired_total',
+    help: 'Pairing codes that expired before linking',
+    registers: [registry]
+  });
+
+  const linked = new client.Counter({
+    name: 'pairing_linked_total',
+    help: 'Devices linked, by pairing mode',
+    labelNames: ['mode'],
+    registers: [registry]
+  });
+
+  const qrRefreshes = new client.Counter({
+    name: 'pairing_qr_refreshes_total',
+    help: 'QR codes received from WhatsApp',
+    registers: [registry]
+  });
+
+  const timeToLink = new client.Histogram({
+    name: 'pairing_time_to_link_seconds',
+    help: 'Time from session creation until the device linked',
+    labelNames: ['mode'],
+    buckets: [10, 20, 30, 45, 60, 90, 120, 180, 300, 600],
+    registers: [registry]
+  });
+
+  const readyLatency = new client.Histogram({
+    name: 'pairing_code_generation_seconds',
+    help: 'Time to get a pairing code or QR from WhatsApp, by mode and outcome',
+    labelNames: ['mode', 'outcome'],
+    buckets: [0.5, 1, 2, 3, 5, 8, 13, 20, 30, 60],
+    registers: [registry]
+  });
+
+  const reconnects = new client.Counter({
+    name: 'pairing_reconnect_attempts_total',
+    help: 'Socket reconnect attempts, by the DisconnectReason that caused them',
+    labelNames: ['reason'],
+    registers: [registry]
+  });
+
+  const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests, by route pattern and status code',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+  });
+
+  // Computed at scrape time from the session manager
+  new client.Gauge({
+    name: 'pairing_sessions',
+    help: 'Active pairing sessions, by status',
+    labelNames: ['status'],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const session of sessions.list()) {
+        this.inc({ status: session.status });
+      }
+    }
+  });
+
+  new client.Gauge({
+    name: 'pairing_circuit_open',
+    help: '1 while the connection circuit breaker is open',
+    registers: [registry],
+    collect() {
+      this.set(sessions.connectionStatus().circuit.state === 'open' ? 1 : 0);
+    }
+  });
+
+  sessions.on('code', () => codesGenerated.inc());
+  sessions.on('qr', () => qrRefreshes.inc());
+  // 'linked' fires again if a socket reconnects before delivery finishes
+  const linkCounted = new WeakSet();
+  sessions.on('linked', (session) => {
+    if (linkCounted.has(session)) return;
+    linkCounted.add(session);
+    linked.inc({ mode: session.mode });
+    timeToLink.observe({ mode: session.mode }, (session.linkedAt - session.createdAt) / 1000);
+  });
+  sessions.on('reconnecting', (session, reason) => reconnects.inc({ reason }));
+
+  // Unmatched paths share one label so scanners can't blow up cardinality
+  function httpMiddleware(req, res, next) {
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+  }
+
+  async function handler(req, res) {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  }
+
+  return {
+    registry,
+    httpMiddleware,
+    handler,
+    codeExpired: () => codesExpired.inc(),
+    // Returns a function to call with the outcome once the code/QR is ready
+    timeCodeGeneration: (mode) => {
+      const end = readyLatency.startTimer({ mode });
+      return (outcome) => end({ outcome });
+    }
+  };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,293 @@
+const { API_ERRORS } = require('./api-v1');
+
+// ==================== OPENAPI DOCUMENT ====================
+// Describes /api/v1 (lib/api-v1.js) and is served at
+// GET /api/v1/openapi.json. Keep it in step with the router.
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = description => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+const json = (schema, description) => ({ description, content: { 'application/json': { schema } } });
+
+const pairingId = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'Pairing (session) id, as returned when the pairing was created',
+  schema: { type: 'string' }
+};
+
+function buildOpenApiDocument({ companyName, serverUrl = null }) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: `${companyName} WhatsApp Pairing API`,
+      version: '1.0.0',
+      description: 'Link WhatsApp devices by pairing code or QR and receive the SESSION_ID when they link. ' +
+        'Every endpoint except this document needs an API key. Errors use HTTP status codes and the Error body. ' +
+        'Requests act for one tenant: the API key\'s own, or the one named by the host or a /t/{tenant} path prefix.'
+    },
+    servers: [{ url: `${serverUrl || ''}/api/v1` }],
+    security: [{ bearer: [] }, { apiKey: [] }],
+    paths: {
+      '/pairings': {
+        post: {
+          summary: 'Start a pairing',
+          description: 'Opens a WhatsApp socket for the number and answers once WhatsApp has issued the code or QR. ' +
+            'Counted against the per-number rate limit and the tenant\'s daily quota.',
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: ref('NewPairing') } }
+          },
+          responses: {
+            201: {
+              ...json({ type: 'object', properties: { pairing: ref('Pairing') } }, 'Pairing started'),
+              headers: { Location: { schema: { type: 'string' }, description: 'URL of the pairing' } }
+            },
+            400: errorResponse('VALIDATION_ERROR or INVALID_JSON'),
+            422: errorResponse('INVALID_PHONE, with the parser\'s reason in details'),
+            429: errorResponse('RATE_LIMITED or QUOTA_EXCEEDED; see Retry-After'),
+            502: errorResponse('SESSION_CLOSED: WhatsApp closed the connection before issuing a code or QR'),
+            503: errorResponse('SESSION_LIMIT, CIRCUIT_OPEN or SHUTTING_DOWN; see Retry-After where given'),
+            504: errorResponse('WHATSAPP_TIMEOUT')
+          }
+        }
+      },
+      '/pairings/{id}': {
+        parameters: [pairingId],
+        get: {
+          summary: 'Get a pairing',
+          description: 'Active pairings, and finished code pairings while the code store keeps them.',
+          responses: {
+            200: json({ type: 'object', properties: { pairing: ref('Pairing') } }, 'The pairing'),
+            404: errorResponse('NOT_FOUND')
+          }
+        },
+        delete: {
+          summary: 'Cancel a pairing',
+          description: 'Closes the socket and discards its auth state. The device is not logged out.',
+          responses: {
+            204: { description: 'Cancelled' },
+            404: errorResponse('NOT_FOUND'),
+            409: errorResponse('PAIRING_FINISHED')
+          }
+        }
+      },
+      '/pairings/{id}/qr': {
+        parameters: [pairingId],
+        get: {
+          summary: 'Get the current QR of a QR pairing',
+          description: 'WhatsApp replaces the QR about every 20 seconds; poll this or follow links.events.',
+          responses: {
+            200: {
+              description: 'The QR, as JSON or (with Accept: image/png) as an image',
+              content: {
+                'application/json': { schema: { type: 'object', properties: { qr: ref('Qr') } } },
+                'image/png': { schema: { type: 'string', format: 'binary' } }
+              }
+            },
+            404: errorResponse('NOT_FOUND'),
+            409: errorResponse('QR_NOT_AVAILABLE: a code pairing, or no QR yet')
+          }
+        }
+      },
+      '/sessions': {
+        get: {
+          summary: 'List active sessions',
+          responses: {
+            200: json({ type: 'object', properties: { sessions: { type: 'array', items: ref('Session') } } }, 'Active sessions')
+          }
+        }
+      },
+      '/sessions/validate': {
+        post: {
+          summary: 'Check a session string',
+          description: 'With live: true the creds are also tried against WhatsApp, which briefly takes over ' +
+            'the connection from a bot using the same session.',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['sessionString'],
+                  properties: {
+                    sessionString: { type: 'string' },
+                    live: { type: 'boolean', default: false }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: json({ type: 'object', properties: { check: ref('SessionCheck') } }, 'The verdict'),
+            400: errorResponse('VALIDATION_ERROR'),
+            503: errorResponse('CHECKS_BUSY or SHUTTING_DOWN, for live checks only')
+          }
+        }
+      },
+      '/sessions/{id}': {
+        parameters: [{ ...pairingId, description: 'Session id' }],
+        get: {
+          summary: 'Get an active session',
+          responses: {
+            200: json({ type: 'object', properties: { session: ref('Session') } }, 'The session'),
+            404: errorResponse('NOT_FOUND')
+          }
+        }
+      },
+      '/sessions/{id}/logout': {
+        parameters: [{ ...pairingId, description: 'Session id' }],
+        post: {
+          summary: 'Log a session out',
+          description: 'Unlinks the device from the user\'s WhatsApp and closes the session.',
+          responses: {
+            204: { description: 'Logged out' },
+            404: errorResponse('NOT_FOUND')
+          }
+        }
+      },
+      '/status': {
+        get: {
+          summary: 'Service status',
+          responses: { 200: json(ref('Status'), 'Current load and WhatsApp connectivity, and the tenant\'s usage') }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer', description: 'One of API_KEYS' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: { type: 'string', enum: Object.keys(API_ERRORS) },
+                message: { type: 'string' },
+                details: { type: 'object', additionalProperties: true },
+                retryAfter: { type: 'integer', description: 'Seconds; also sent as Retry-After' }
+              }
+            }
+          }
+        },
+        NewPairing: {
+          type: 'object',
+          required: ['phoneNumber'],
+          properties: {
+            phoneNumber: { type: 'string', example: '+254712345678' },
+            country: { type: 'string', description: 'ISO country for numbers without a + prefix', example: 'KE' },
+            mode: { type: 'string', enum: ['code', 'qr'], default: 'code' }
+          }
+        },
+        Pairing: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            mode: { type: 'string', enum: ['code', 'qr'] },
+            status: {
+              type: 'string',
+              description: 'Active: connecting, code_issued, qr_ready, linked. Finished: pending, linked, expired, revoked.'
+            },
+            phoneNumber: { type: 'string' },
+            code: { type: 'string', nullable: true },
+            displayCode: { type: 'string', nullable: true, example: 'ABCD-EFGH' },
+            createdAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            linkedAt: { type: 'string', format: 'date-time', nullable: true },
+            links: {
+              type: 'object',
+              properties: {
+                self: { type: 'string' },
+                qr: { type: 'string', nullable: true },
+                events: { type: 'string', description: 'Server-Sent Events stream for the pairing' }
+              }
+            }
+          }
+        },
+        Qr: {
+          type: 'object',
+          properties: {
+            pairingId: { type: 'string' },
+            value: { type: 'string', description: 'The raw QR payload' },
+            image: { type: 'string', description: 'PNG data URL' },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        Session: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            mode: { type: 'string', enum: ['code', 'qr'] },
+            status: { type: 'string' },
+            phoneNumber: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            linkedAt: { type: 'string', format: 'date-time', nullable: true },
+            expiresAt: { type: 'string', format: 'date-time' },
+            reconnectAttempts: { type: 'integer' },
+            lastDisconnect: { type: 'object', nullable: true, additionalProperties: true },
+            nextRetryAt: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        SessionCheck: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['valid', 'logged_out', 'corrupted', 'unknown_format'] },
+            message: { type: 'string' },
+            prefix: { type: 'string' },
+            detail: { type: 'string' },
+            account: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                jid: { type: 'string' },
+                name: { type: 'string', nullable: true },
+                registeredAt: { type: 'string', format: 'date-time', nullable: true }
+              }
+            },
+            live: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                checked: { type: 'boolean' },
+                outcome: { type: 'string', enum: ['connected', 'logged_out', 'rejected', 'inconclusive'] },
+                reason: { type: 'string', nullable: true }
+              }
+            }
+          }
+        },
+        Status: {
+          type: 'object',
+          properties: {
+            bot: { type: 'string', enum: ['online', 'busy', 'unavailable'] },
+            hasQR: { type: 'boolean' },
+            pairingCodes: { type: 'integer' },
+            sessions: { type: 'integer' },
+            maxSessions: { type: 'integer' },
+            connection: { type: 'object', additionalProperties: true },
+            company: { type: 'string' },
+            tenant: { type: 'string' },
+            usage: {
+              type: 'object',
+              description: 'The tenant\'s counters for the current UTC day',
+              properties: {
+                date: { type: 'string', format: 'date' },
+                pairings: { type: 'integer' },
+                linked: { type: 'integer' },
+                refused: { type: 'integer', description: 'Pairings refused over the quota' },
+                quota: { type: 'integer', nullable: true },
+                remaining: { type: 'integer', nullable: true }
+              }
+            },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApiDocument };
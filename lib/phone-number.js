@@ -0,0 +1,160 @@
+// ==================== PHONE NUMBER PARSING ====================
+// Shared by server.js (require) and the pairing page (served as
+// /js/phone-number.js, exposed as window.PhoneNumber), so both sides apply
+// exactly the same rules.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PhoneNumber = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // lengths = allowed national significant number lengths (no trunk prefix)
+  const COUNTRIES = [
+    { iso: 'KE', name: 'Kenya', callingCode: '254', lengths: [9], trunkPrefix: '0' },
+    { iso: 'UG', name: 'Uganda', callingCode: '256', lengths: [9], trunkPrefix: '0' },
+    { iso: 'TZ', name: 'Tanzania', callingCode: '255', lengths: [9], trunkPrefix: '0' },
+    { iso: 'RW', name: 'Rwanda', callingCode: '250', lengths: [9], trunkPrefix: '0' },
+    { iso: 'ET', name: 'Ethiopia', callingCode: '251', lengths: [9], trunkPrefix: '0' },
+    { iso: 'NG', name: 'Nigeria', callingCode: '234', lengths: [10], trunkPrefix: '0' },
+    { iso: 'GH', name: 'Ghana', callingCode: '233', lengths: [9], trunkPrefix: '0' },
+    { iso: 'CM', name: 'Cameroon', callingCode: '237', lengths: [9], trunkPrefix: null },
+    { iso: 'ZM', name: 'Zambia', callingCode: '260', lengths: [9], trunkPrefix: '0' },
+    { iso: 'ZW', name: 'Zimbabwe', callingCode: '263', lengths: [9], trunkPrefix: '0' },
+    { iso: 'ZA', name: 'South Africa', callingCode: '27', lengths: [9], trunkPrefix: '0' },
+    { iso: 'EG', name: 'Egypt', callingCode: '20', lengths: [10], trunkPrefix: '0' },
+    { iso: 'MA', name: 'Morocco', callingCode: '212', lengths: [9], trunkPrefix: '0' },
+    { iso: 'US', name: 'United States', callingCode: '1', lengths: [10], trunkPrefix: '1' },
+    { iso: 'CA', name: 'Canada', callingCode: '1', lengths: [10], trunkPrefix: '1' },
+    { iso: 'MX', name: 'Mexico', callingCode: '52', lengths: [10], trunkPrefix: null },
+    { iso: 'BR', name: 'Brazil', callingCode: '55', lengths: [10, 11], trunkPrefix: '0' },
+    { iso: 'AR', name: 'Argentina', callingCode: '54', lengths: [10, 11], trunkPrefix: '0' },
+    { iso: 'GB', name: 'United Kingdom', callingCode: '44', lengths: [10], trunkPrefix: '0' },
+    { iso: 'IE', name: 'Ireland', callingCode: '353', lengths: [9], trunkPrefix: '0' },
+    { iso: 'DE', name: 'Germany', callingCode: '49', lengths: [10, 11], trunkPrefix: '0' },
+    { iso: 'FR', name: 'France', callingCode: '33', lengths: [9], trunkPrefix: '0' },
+    { iso: 'NL', name: 'Netherlands', callingCode: '31', lengths: [9], trunkPrefix: '0' },
+    { iso: 'ES', name: 'Spain', callingCode: '34', lengths: [9], trunkPrefix: null },
+    { iso: 'PT', name: 'Portugal', callingCode: '351', lengths: [9], trunkPrefix: null },
+    { iso: 'IT', name: 'Italy', callingCode: '39', lengths: [9, 10], trunkPrefix: null },
+    { iso: 'TR', name: 'Turkey', callingCode: '90', lengths: [10], trunkPrefix: '0' },
+    { iso: 'RU', name: 'Russia', callingCode: '7', lengths: [10], trunkPrefix: '8' },
+    { iso: 'AE', name: 'United Arab Emirates', callingCode: '971', lengths: [9], trunkPrefix: '0' },
+    { iso: 'SA', name: 'Saudi Arabia', callingCode: '966', lengths: [9], trunkPrefix: '0' },
+    { iso: 'IN', name: 'India', callingCode: '91', lengths: [10], trunkPrefix: '0' },
+    { iso: 'PK', name: 'Pakistan', callingCode: '92', lengths: [10], trunkPrefix: '0' },
+    { iso: 'BD', name: 'Bangladesh', callingCode: '880', lengths: [10], trunkPrefix: '0' },
+    { iso: 'ID', name: 'Indonesia', callingCode: '62', lengths: [9, 10, 11, 12], trunkPrefix: '0' },
+    { iso: 'MY', name: 'Malaysia', callingCode: '60', lengths: [9, 10], trunkPrefix: '0' },
+    { iso: 'PH', name: 'Philippines', callingCode: '63', lengths: [10], trunkPrefix: '0' },
+    { iso: 'SG', name: 'Singapore', callingCode: '65', lengths: [8], trunkPrefix: null },
+    { iso: 'AU', name: 'Australia', callingCode: '61', lengths: [9], trunkPrefix: '0' },
+    { iso: 'NZ', name: 'New Zealand', callingCode: '64', lengths: [8, 9, 10], trunkPrefix: '0' }
+  ];
+
+  function findCountry(iso) {
+    const wanted = String(iso || '').toUpperCase();
+    return COUNTRIES.find(country => country.iso === wanted) || null;
+  }
+
+  // Countries sharing a calling code (the US and Canada under +1) can't be
+  // told apart by it, so such a number is checked against their shared
+  // rules and gets no country rather than a guess
+  function findCountryByDigits(digits) {
+    for (let length = 3; length >= 1; length--) {
+      const prefix = digits.slice(0, length);
+      const matches = COUNTRIES.filter(candidate => candidate.callingCode === prefix);
+      if (matches.length === 1) return matches[0];
+      if (matches.length > 1) {
+        return {
+          iso: null,
+          name: matches.map(country => country.name).join(' / '),
+          callingCode: prefix,
+          lengths: matches[0].lengths
+        };
+      }
+    }
+    return null;
+  }
+
+  function invalid(code, message) {
+    return { valid: false, error: { code: code, message: message } };
+  }
+
+  function valid(country, callingCode, nationalNumber) {
+    const digits = callingCode + nationalNumber;
+    return {
+      valid: true,
+      country: country.iso,
+      callingCode: callingCode,
+      nationalNumber: nationalNumber,
+      e164: '+' + digits,
+      // Baileys' requestPairingCode and JIDs take the bare digits
+      digits: digits,
+      jid: digits + '@s.whatsapp.net'
+    };
+  }
+
+  function checkLength(country, nationalNumber) {
+    const lengths = country.lengths;
+    if (lengths.indexOf(nationalNumber.length) !== -1) {
+      return valid(country, country.callingCode, nationalNumber);
+    }
+    const expected = lengths.join(' or ');
+    if (nationalNumber.length < Math.min.apply(null, lengths)) {
+      return invalid('TOO_SHORT', `${country.name} numbers have ${expected} digits after +${country.callingCode}`);
+    }
+    return invalid('TOO_LONG', `${country.name} numbers have ${expected} digits after +${country.callingCode}`);
+  }
+
+  // Accepts "+254 723 278 526", "00254723278526", or a local number such as
+  // "0723 278 526" / "723278526" together with the selected country.
+  function parse(input, countryIso) {
+    const raw = String(input == null ? '' : input).trim();
+    if (!raw) {
+      return invalid('REQUIRED', 'Please enter your WhatsApp number');
+    }
+    if (!/^\+?[0-9\s().-]+$/.test(raw)) {
+      return invalid('INVALID_CHARACTERS', 'Phone numbers may only contain digits, spaces, dashes and a leading +');
+    }
+
+    let digits = raw.replace(/\D/g, '');
+    let international = raw.charAt(0) === '+';
+    if (!international && digits.indexOf('00') === 0) {
+      international = true;
+      digits = digits.slice(2);
+    }
+
+    if (international) {
+      const country = findCountryByDigits(digits);
+      if (!country) {
+        return invalid('UNKNOWN_CALLING_CODE', 'This country code is not supported. Please check the number after the +');
+      }
+      return checkLength(country, digits.slice(country.callingCode.length));
+    }
+
+    const country = findCountry(countryIso);
+    if (!country) {
+      return invalid('UNKNOWN_COUNTRY', 'Please select your country or enter the number with its + prefix');
+    }
+
+    // Someone who types 254723278526 without the + still means +254
+    const withoutCallingCode = digits.slice(country.callingCode.length);
+    if (digits.indexOf(country.callingCode) === 0 && country.lengths.indexOf(withoutCallingCode.length) !== -1) {
+      return valid(country, country.callingCode, withoutCallingCode);
+    }
+
+    let nationalNumber = digits;
+    if (country.trunkPrefix && nationalNumber.indexOf(country.trunkPrefix) === 0 &&
+        country.lengths.indexOf(nationalNumber.length) === -1) {
+      nationalNumber = nationalNumber.slice(country.trunkPrefix.length);
+    }
+    return checkLength(country, nationalNumber);
+  }
+
+  return {
+    COUNTRIES: COUNTRIES,
+    findCountry: findCountry,
+    parse: parse
+  };
+});
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { leadingZeroBits } = require('./pow-solver');
+
+const RATE_WINDOW_MS = 60 * 1000;
+const SOLUTION_PATTERN = /^\d{1,16}$/;
+
+// ==================== PROOF OF WORK ====================
+// Makes every pairing from the page cost its browser some CPU, so scripts
+// can't request codes for thousands of numbers cheaply. No third party is
+// involved: GET /challenge hands out
+//   <nonce>.<difficulty>.<expiresAt>.<signature>
+// signed with `secret`, and the page finds a counter such that
+// SHA-256("<challenge>:<counter>") starts with `difficulty` zero bits (see
+// lib/pow-solver.js, which also runs in the browser). verify() checks the
+// signature, the expiry and the hash, and accepts each challenge once;
+// spent nonces are only remembered until they expire anyway.
+//
+// Difficulty follows load: one more bit (twice the work) for each doubling
+// of requests in the last minute over `targetPerMinute`, up to
+// `maxDifficulty`. Every proof presented counts, solved or not (the routes
+// rate-limit per IP before verifying), and a challenge issued at a lower
+// difficulty than is now required is refused, so challenges solved in a
+// quiet moment can't be saved up for a burst.
+function powError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function createChallengeIssuer({
+  secret = crypto.randomBytes(32).toString('hex'),
+  difficulty: baseDifficulty = 18,
+  maxDifficulty = 22,
+  targetPerMinute = 30,
+  ttlMs = 2 * 60 * 1000,
+  now = Date.now
+} = {}) {
+  const spent = new Map(); // nonce -> expiresAt
+  const requests = []; // timestamps of verify() calls, oldest first
+  let lastSweep = now();
+
+  function sign(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  function recentRate() {
+    const cutoff = now() - RATE_WINDOW_MS;
+    while (requests.length && requests[0] <= cutoff) requests.shift();
+    return requests.length;
+  }
+
+  function currentDifficulty() {
+    const rate = recentRate();
+    if (rate <= targetPerMinute) return baseDifficulty;
+    const extra = Math.ceil(Math.log2(rate / targetPerMinute));
+    return Math.min(maxDifficulty, baseDifficulty + extra);
+  }
+
+  function sweep() {
+    const time = now();
+    if (time - lastSweep < ttlMs) return;
+    lastSweep = time;
+    for (const [nonce, expiresAt] of spent) {
+      if (expiresAt <= time) spent.delete(nonce);
+    }
+  }
+
+  function issue() {
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const difficulty = currentDifficulty();
+    const expiresAt = now() + ttlMs;
+    const payload = `${nonce}.${difficulty}.${expiresAt}`;
+    return {
+      challenge: `${payload}.${sign(payload)}`,
+      difficulty,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  // Throws CHALLENGE_REQUIRED, CHALLENGE_INVALID, CHALLENGE_EXPIRED,
+  // CHALLENGE_TOO_EASY, CHALLENGE_USED or CHALLENGE_UNSOLVED
+  function verify({ challenge, solution } = {}) {
+    requests.push(now());
+    if (!challenge || solution === undefined || solution === null || solution === '') {
+      throw powError('CHALLENGE_REQUIRED', 'Solve a challenge from GET /challenge first');
+    }
+
+    const parts = String(challenge).split('.');
+    const signature = parts.pop();
+    const payload = parts.join('.');
+    const [nonce, difficultyText, expiresText] = parts;
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (parts.length !== 3 || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw powError('CHALLENGE_INVALID', 'Challenge was not issued by this server');
+    }
+    if (Number(expiresText) <= now()) {
+      throw powError('CHALLENGE_EXPIRED', 'Challenge has expired');
+    }
+    if (Number(difficultyText) < currentDifficulty()) {
+      throw powError('CHALLENGE_TOO_EASY', 'Load has gone up since the challenge was issued; solve a new one');
+    }
+
+    sweep();
+    if (spent.has(nonce)) {
+      throw powError('CHALLENGE_USED', 'Challenge has already been used');
+    }
+
+    const text = String(solution);
+    const digest = crypto.createHash('sha256').update(`${challenge}:${text}`).digest();
+    if (!SOLUTION_PATTERN.test(text) || leadingZeroBits(digest) < Number(difficultyText)) {
+      throw powError('CHALLENGE_UNSOLVED', 'Solution does not solve the challenge');
+    }
+
+    spent.set(nonce, Number(expiresText));
+    return { difficulty: Number(difficultyText) };
+  }
+
+  function status() {
+    return {
+      difficulty: currentDifficulty(),
+      requestsLastMinute: recentRate(),
+      targetPerMinute
+    };
+  }
+
+  return { issue, verify, currentDifficulty, status };
+}
+
+module.exports = { createChallengeIssuer };
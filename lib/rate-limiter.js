@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// ==================== COUNTER STORES ====================
+// A counter store only needs get/set/delete/keys on plain JSON records, so
+// the limiter can run on the in-memory Map or on a file that survives
+// restarts.
+function createMemoryCounterStore() {
+  const records = new Map();
+  return {
+    get: (key) => records.get(key) || null,
+    set: (key, record) => records.set(key, record),
+    delete: (key) => records.delete(key),
+    keys: () => Array.from(records.keys()),
+    flush() {}
+  };
+}
+
+// Snapshots the counters to a JSON file at most once per `flushDelayMs`.
+function createFileCounterStore({ file, flushDelayMs = 1000 }) {
+  const store = createMemoryCounterStore();
+  let flushTimer = null;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      for (const [key, record] of Object.entries(saved)) store.set(key, record);
+    } catch (error) {
+      logger.child({ component: 'rate-limiter' }).warn({ file }, 'Ignoring unreadable rate-limit file');
+    }
+  }
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    const snapshot = {};
+    for (const key of store.keys()) snapshot[key] = store.get(key);
+    fs.writeFileSync(file, JSON.stringify(snapshot));
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, flushDelayMs);
+    flushTimer.unref();
+  }
+
+  return {
+    ...store,
+    set(key, record) {
+      store.set(key, record);
+      scheduleFlush();
+    },
+    delete(key) {
+      store.delete(key);
+      scheduleFlush();
+    },
+    flush
+  };
+}
+
+// ==================== SLIDING WINDOW LIMITER ====================
+// rules: { [name]: { windowMs, max, cooldownMs? } }
+// consume({ ip: '1.2.3.4', phone: '254...' }) checks every named key and only
+// records the hit when all of them allow it. A rule with cooldownMs blocks
+// that key for the whole cooldown once it reaches `max`.
+function createRateLimiter({ rules, store = createMemoryCounterStore(), sweepIntervalMs = 60000 }) {
+  const longestWindow = Math.max(...Object.values(rules).map(rule => rule.windowMs));
+
+  function load(key, now, windowMs) {
+    const record = store.get(key) || { hits: [], blockedUntil: 0 };
+    record.hits = record.hits.filter(time => time > now - windowMs);
+    return record;
+  }
+
+  function consume(keys) {
+    const now = Date.now();
+    const checked = [];
+
+    for (const [name, value] of Object.entries(keys)) {
+      const rule = rules[name];
+      if (!rule || value === undefined || value === null) continue;
+
+      const key = `${name}:${value}`;
+      const record = load(key, now, rule.windowMs);
+
+      if (record.blockedUntil > now) {
+        return { allowed: false, rule: name, retryAfterMs: record.blockedUntil - now };
+      }
+
+      if (record.hits.length >= rule.max) {
+        let retryAfterMs = record.hits[0] + rule.windowMs - now;
+        if (rule.cooldownMs) {
+          record.blockedUntil = now + rule.cooldownMs;
+          retryAfterMs = rule.cooldownMs;
+        }
+        store.set(key, record);
+        return { allowed: false, rule: name, retryAfterMs };
+      }
+
+      checked.push([key, record]);
+    }
+
+    for (const [key, record] of checked) {
+      record.hits.push(now);
+      store.set(key, record);
+    }
+    return { allowed: true, rule: null, retryAfterMs: 0 };
+  }
+
+  // Drops keys with no hits in the longest window and no active block, so
+  // one-off visitors do not pile up in memory.
+  function sweep() {
+    const now = Date.now();
+    for (const key of store.keys()) {
+      const record = store.get(key);
+      const recent = record.hits.some(time => time > now - longestWindow);
+      if (!recent && record.blockedUntil <= now) store.delete(key);
+    }
+  }
+
+  const timer = setInterval(sweep, sweepIntervalMs);
+  timer.unref();
+
+  return {
+    consume,
+    sweep,
+    reset: (name, value) => store.delete(`${name}:${value}`),
+    stop: () => clearInterval(timer),
+    store
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  createMemoryCounterStore,
+  createFileCounterStore
+};
@@ -0,0 +1,120 @@
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+const { logger } = require('./logger');
+
+// ==================== DISCONNECT POLICY ====================
+// What to do when a socket closes, by DisconnectReason:
+//   restart   reconnect immediately (WhatsApp asked for it after pairing)
+//   reconnect reconnect after an exponential backoff
+//   wipe      clear the saved creds, then reconnect after a backoff
+//   give_up   stop; the session cannot recover on its own
+// Status codes Baileys doesn't name are treated as transient.
+const POLICY = {
+  restartRequired: 'restart',
+  connectionClosed: 'reconnect',
+  connectionLost: 'reconnect',
+  timedOut: 'reconnect',
+  unavailableService: 'reconnect',
+  badSession: 'wipe',
+  loggedOut: 'give_up',
+  connectionReplaced: 'give_up',
+  multideviceMismatch: 'give_up',
+  forbidden: 'give_up'
+};
+
+// connectionLost and timedOut share 408; the first name wins
+const REASON_NAMES = new Map();
+for (const [name, statusCode] of Object.entries(DisconnectReason)) {
+  if (typeof statusCode === 'number' && !REASON_NAMES.has(statusCode)) {
+    REASON_NAMES.set(statusCode, name);
+  }
+}
+
+function classifyDisconnect(statusCode) {
+  const reason = REASON_NAMES.get(statusCode) || (statusCode ? `status_${statusCode}` : 'unknown');
+  return { statusCode: statusCode || null, reason, action: POLICY[reason] || 'reconnect' };
+}
+
+// Exponential backoff with ±jitter, so sessions that dropped together
+// don't reconnect in lockstep. `attempt` starts at 1.
+function backoffDelay(attempt, { baseDelayMs = 1000, maxDelayMs = 60000, jitter = 0.3 } = {}) {
+  const delay = baseDelayMs * 2 ** (attempt - 1);
+  return Math.round(Math.min(maxDelayMs, delay * (1 - jitter + Math.random() * jitter * 2)));
+}
+
+// ==================== CIRCUIT BREAKER ====================
+// Counts consecutive connection failures across all sessions. After
+// `threshold` of them the circuit opens: new sessions are refused and
+// reconnects wait until `cooldownMs` has passed. Then the circuit is
+// half-open: allow() lets exactly one trial attempt through, a success
+// closes the circuit and a failure opens it for another cooldown. A trial
+// that never reports back (its session went away) is written off after a
+// cooldown, and the next caller gets to try.
+function createCircuitBreaker({ threshold = 5, cooldownMs = 60000 } = {}) {
+  const log = logger.child({ component: 'circuit-breaker' });
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let lastFailure = null;
+  let probeStartedAt = null;
+
+  function refresh() {
+    if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+      state = 'half_open';
+      probeStartedAt = null;
+    }
+    if (probeStartedAt !== null && Date.now() - probeStartedAt >= cooldownMs) {
+      probeStartedAt = null;
+    }
+  }
+
+  return {
+    allow() {
+      refresh();
+      if (state === 'open') return false;
+      if (state === 'half_open') {
+        if (probeStartedAt !== null) return false;
+        probeStartedAt = Date.now();
+      }
+      return true;
+    },
+    // Milliseconds until the circuit lets attempts through again
+    waitMs() {
+      refresh();
+      return state === 'open' ? openedAt + cooldownMs - Date.now() : 0;
+    },
+    recordSuccess() {
+      if (state !== 'closed') {
+        log.info('Circuit breaker closed');
+      }
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      probeStartedAt = null;
+    },
+    recordFailure(reason) {
+      refresh();
+      failures++;
+      lastFailure = { reason, at: new Date() };
+      if (state === 'half_open' || failures >= threshold) {
+        if (state !== 'open') {
+          log.error({ failures, reason, cooldownMs }, 'Circuit breaker opened');
+        }
+        state = 'open';
+        openedAt = Date.now();
+        probeStartedAt = null;
+      }
+    },
+    status() {
+      refresh();
+      return {
+        state,
+        failures,
+        threshold,
+        lastFailure,
+        retryAt: state === 'open' ? new Date(openedAt + cooldownMs) : null
+      };
+    }
+  };
+}
+
+module.exports = { classifyDisconnect, backoffDelay, createCircuitBreaker };
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { default: makeWASocket, BufferJSON, proto } = require('@whiskeysockets/baileys');
+const { logger } = require('./logger');
+const { parseSessionString, decodeSessionString } = require('./session-string');
+const { createMultiFileBackend, loadAuthState } = require('./auth-state');
+const { classifyDisconnect } = require('./reconnect');
+const { createVersionResolver } = require('./baileys-version');
+
+// ==================== SESSION STRING CHECK ====================
+// Answers "does my SESSION_ID still work?" with one of:
+//   valid           well-formed, registered creds (and, with `live`, WhatsApp
+//                   accepted them)
+//   logged_out      WhatsApp rejected the login; the device was unlinked
+//   corrupted       right prefix, but the checksum, payload or creds are bad
+//   unknown_format  not a session string issued under our prefix
+// plus the account JID and the date the device was linked when the creds
+// carry them. The offline part never leaves the process; the live part
+// restores the creds into a throwaway auth state and opens a socket until it
+// either opens or is closed. WhatsApp only allows one connection per linked
+// device, so a live check briefly takes over from a bot running the same
+// session (which reconnects on its own). At most `maxLive` live checks run
+// at once; check() throws CHECKS_BUSY beyond that.
+const STATUS_MESSAGES = {
+  valid: 'Session ID is valid',
+  logged_out: 'This device was logged out of WhatsApp. Pair again to get a new session ID.',
+  corrupted: 'Session ID is damaged. Copy it again in full, or pair again.',
+  unknown_format: 'This is not a session ID issued by this service'
+};
+
+function checkError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function result(status, fields = {}) {
+  return { status, message: STATUS_MESSAGES[status], account: null, live: null, ...fields };
+}
+
+// The linked device's signed identity carries the time it was linked
+function linkedAt(creds) {
+  try {
+    const identity = proto.ADVDeviceIdentity.decode(creds.account.details);
+    return identity.timestamp ? new Date(Number(identity.timestamp) * 1000) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Format, checksum and creds only; never throws
+function inspectSessionString(sessionString, prefix) {
+  let parsed;
+  try {
+    parsed = parseSessionString(sessionString, prefix);
+  } catch (error) {
+    return result(error.code === 'CORRUPTED' ? 'corrupted' : 'unknown_format', { detail: error.message });
+  }
+
+  let creds;
+  try {
+    creds = JSON.parse(parsed.files['creds.json'], BufferJSON.reviver);
+  } catch (error) {
+    return result('corrupted', { prefix: parsed.prefix, detail: 'creds.json is not valid JSON' });
+  }
+  if (!creds || !creds.me || !creds.me.id) {
+    return result('corrupted', { prefix: parsed.prefix, detail: 'The creds were never linked to an account' });
+  }
+
+  return result('valid', {
+    prefix: parsed.prefix,
+    account: {
+      jid: creds.me.id,
+      name: creds.me.name || null,
+      registeredAt: linkedAt(creds)
+    }
+  });
+}
+
+// `makeSocket` stands in for makeWASocket like in the session manager
+function createSessionChecker({
+  prefix,
+  timeoutMs = 20000,
+  maxLive = 2,
+  socketOptions = {},
+  versionResolver = createVersionResolver(),
+  makeSocket = makeWASocket
+}) {
+  const log = logger.child({ component: 'session-check' });
+  const active = new Set(); // sockets of live checks in progress
+  let running = 0; // live checks, including those still restoring creds
+
+  // Resolves to { outcome: 'connected' | 'logged_out' | 'rejected' |
+  // 'inconclusive', reason } once the socket opens, closes or times out
+  async function connectOnce(sessionString, prefix) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'session-check-'));
+    const backend = createMultiFileBackend({ dir });
+    let sock = null;
+    let timer;
+
+    try {
+      await decodeSessionString(sessionString, backend, 'check', prefix);
+      const { state } = await loadAuthState(backend, 'check');
+      const version = await versionResolver.resolve();
+
+      // The socket only has to log in: it never shows the account online,
+      // asks for history or runs the init queries, whatever SOCKET_OPTIONS
+      // says, and nothing listens for messages. It is ended as soon as the
+      // login is answered, before WhatsApp delivers anything queued.
+      sock = makeSocket({
+        ...socketOptions,
+        ...(version && { version }),
+        auth: state,
+        logger: log.child({ component: 'baileys' }, { level: 'silent' }),
+        printQRInTerminal: false,
+        markOnlineOnConnect: false,
+        syncFullHistory: false,
+        fireInitQueries: false,
+        shouldSyncHistoryMessage: () => false,
+        getMessage: async () => undefined
+      });
+      active.add(sock);
+
+      return await new Promise((resolve) => {
+        timer = setTimeout(() => resolve({ outcome: 'inconclusive', reason: 'timeout' }), timeoutMs);
+
+        sock.ev.on('connection.update', ({ connection, qr, lastDisconnect }) => {
+          if (connection === 'open') {
+            resolve({ outcome: 'connected', reason: null });
+          } else if (qr) {
+            // Only unregistered creds are offered a QR
+            resolve({ outcome: 'logged_out', reason: 'qr' });
+          } else if (connection === 'close') {
+            const { reason, action } = classifyDisconnect(lastDisconnect?.error?.output?.statusCode);
+            if (reason === 'loggedOut' || reason === 'forbidden') {
+              resolve({ outcome: 'logged_out', reason });
+            } else if (action === 'wipe') {
+              resolve({ outcome: 'rejected', reason });
+            } else if (reason === 'connectionReplaced') {
+              // Another connection (likely the user's bot) took over; the login works
+              resolve({ outcome: 'connected', reason });
+            } else {
+              resolve({ outcome: 'inconclusive', reason });
+            }
+          }
+        });
+      });
+    } finally {
+      clearTimeout(timer);
+      if (sock) {
+        active.delete(sock);
+        try {
+          sock.end(undefined);
+        } catch (error) {
+          log.warn({ err: error }, 'Error closing check socket');
+        }
+      }
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  // `live` also asks WhatsApp; otherwise only the string itself is checked.
+  // `prefix` overrides the checker's own, e.g. for a tenant's strings.
+  async function check(sessionString, { live = false, prefix: expectedPrefix = prefix } = {}) {
+    const inspected = inspectSessionString(sessionString, expectedPrefix);
+    if (inspected.status !== 'valid' || !live) return inspected;
+    if (running >= maxLive) {
+      throw checkError('CHECKS_BUSY', 'Too many live session checks are running');
+    }
+
+    let connection;
+    running++;
+    try {
+      connection = await connectOnce(sessionString, expectedPrefix);
+    } catch (error) {
+      log.warn({ err: error }, 'Live session check failed');
+      connection = { outcome: 'inconclusive', reason: 'error' };
+    } finally {
+      running--;
+    }
+    log.info({ jid: inspected.account.jid, ...connection }, 'Live session check finished');
+
+    // An inconclusive answer leaves the offline verdict standing
+    const status = { logged_out: 'logged_out', rejected: 'corrupted' }[connection.outcome] || 'valid';
+    return {
+      ...inspected,
+      status,
+      message: STATUS_MESSAGES[status],
+      live: { checked: connection.outcome !== 'inconclusive', ...connection }
+    };
+  }
+
+  // Ends live checks still waiting on WhatsApp; for shutdown
+  function close() {
+    for (const sock of active) {
+      try {
+        sock.end(undefined);
+      } catch (error) {
+        // Closing anyway
+      }
+    }
+    active.clear();
+  }
+
+  return { check, close };
+}
+
+module.exports = { createSessionChecker, inspectSessionString };
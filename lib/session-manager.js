@@ -0,0 +1,446 @@
+const { EventEmitter } = require('events');
+const { default: makeWASocket } = require('@whiskeysockets/baileys');
+const QRCode = require('qrcode');
+const { logger } = require('./logger');
+const { loadAuthState } = require('./auth-state');
+const { classifyDisconnect, backoffDelay, createCircuitBreaker } = require('./reconnect');
+const { createVersionResolver } = require('./baileys-version');
+
+const READY_TIMEOUT_MS = 60000;
+
+function sessionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// ==================== SESSION MANAGER ====================
+// Every pairing request gets its own socket, auth state (kept in
+// `authBackend`, see lib/auth-state.js), status and reconnect timer, keyed
+// by its sessionId. The manager emits:
+//   'code'    (session)  WhatsApp issued a pairing code
+//   'qr'      (session)  a new QR was received
+//   'linked'  (session)  the device finished linking
+//   'expired' (session)  the session timed out before linking
+//   'failed'  (session, error)  the socket could not be set up
+//   'closed'  (session, reason)  the session was destroyed
+//   'reconnecting' (session, reason)  a new socket is about to be opened
+// Closed sockets are handled per DisconnectReason (see lib/reconnect.js);
+// `reconnect` is { baseDelayMs, maxDelayMs, maxAttempts, maxRestarts } for
+// the backoff and `circuitBreaker` is { threshold, cooldownMs }. `versionResolver`
+// (lib/baileys-version.js) picks the WhatsApp Web version to announce.
+// Each session carries `log`, a child logger bound to its sessionId, and
+// hands Baileys a child of that at `baileysLogLevel` ('silent' by default;
+// raise it for one session with setBaileysLogLevel() when debugging).
+// `makeSocket` stands in for Baileys' makeWASocket, e.g. with the fake
+// socket in test/helpers/fake-socket.js. `generatePairingCode`, when given,
+// supplies the code WhatsApp should issue instead of one of its own.
+function createSessionManager({
+  authBackend,
+  maxSessions = 20,
+  expiryMs = 10 * 60 * 1000,
+  socketOptions = {},
+  reconnect = {},
+  circuitBreaker = {},
+  versionResolver = createVersionResolver(),
+  baileysLogLevel = 'silent',
+  makeSocket = makeWASocket,
+  generatePairingCode = null
+}) {
+  const manager = new EventEmitter();
+  const sessions = new Map();
+  const log = logger.child({ component: 'sessions' });
+  const breaker = createCircuitBreaker(circuitBreaker);
+  const maxReconnectAttempts = reconnect.maxAttempts || 8;
+  const maxRestarts = reconnect.maxRestarts || 3;
+  let lastDisconnect = null;
+
+  function summarize(session) {
+    return {
+      sessionId: session.id,
+      tenant: session.tenant,
+      phoneNumber: session.phoneNumber,
+      mode: session.mode,
+      status: session.status,
+      pairingCode: session.pairingCode,
+      qr: session.qr,
+      createdAt: session.createdAt,
+      linkedAt: session.linkedAt,
+      expiresAt: session.expiresAt,
+      reconnectAttempts: session.reconnectAttempts,
+      lastDisconnect: session.lastDisconnect,
+      nextRetryAt: session.nextRetryAt,
+      baileysLogLevel: session.baileysLogger.level
+    };
+  }
+
+  async function connect(session) {
+    const { state, saveCreds } = await loadAuthState(authBackend, session.id);
+    const version = await versionResolver.resolve();
+
+    const sock = makeSocket({
+      browser: ['IAN-TECH-Pairing', 'Chrome', '121.0.0.0'],
+      syncFullHistory: false,
+      connectTimeoutMs: 60000,
+      keepAliveIntervalMs: 10000,
+      markOnlineOnConnect: false,
+      ...socketOptions,
+      ...(version && { version }),
+      auth: state,
+      logger: session.baileysLogger,
+      printQRInTerminal: false,
+      getMessage: async () => undefined
+    });
+    session.socket = sock;
+    session.saveCreds = saveCreds;
+
+    sock.ev.on('creds.update', saveCreds);
+
+    sock.ev.on('connection.update', async (update) => {
+      const { connection, qr, lastDisconnect } = update;
+
+      // A QR means WhatsApp's servers are reachable again
+      if (qr) {
+        breaker.recordSuccess();
+      }
+
+      if (qr && session.mode === 'qr') {
+        session.qr = qr;
+        session.status = 'qr_ready';
+        try {
+          session.qrImage = await QRCode.toDataURL(qr);
+          manager.emit('qr', session);
+        } catch (error) {
+          session.log.error({ err: error }, 'QR generation failed');
+        }
+      }
+
+      // The first QR means the socket is registered with WhatsApp's
+      // servers, which is when a pairing code can be requested instead.
+      if (qr && session.mode === 'code' && !session.pairingCode && !state.creds.registered) {
+        try {
+          const customCode = generatePairingCode ? generatePairingCode() : undefined;
+          session.pairingCode = await sock.requestPairingCode(session.phoneNumber.replace(/\D/g, ''), customCode);
+          session.status = 'code_issued';
+          manager.emit('code', session);
+        } catch (error) {
+          fail(session, error);
+        }
+      }
+
+      if (connection === 'open') {
+        session.status = 'linked';
+        session.linkedAt = new Date();
+        session.linkedTo = sock.user?.id || null;
+        session.reconnectAttempts = 0;
+        session.restarts = 0;
+        breaker.recordSuccess();
+        clearTimeout(session.expiryTimer);
+        manager.emit('linked', session);
+      }
+
+      if (connection === 'close') {
+        if (session.destroyed) return;
+        const disconnect = classifyDisconnect(lastDisconnect?.error?.output?.statusCode);
+        recordDisconnect(session, disconnect, lastDisconnect?.error);
+
+        switch (disconnect.action) {
+          // WhatsApp drops the socket once the code or QR is accepted and
+          // expects a fresh connection with the newly saved creds. A server
+          // that keeps asking without ever opening the connection is broken.
+          case 'restart':
+            if (session.restarts >= maxRestarts) {
+              fail(session, new Error(`Gave up after ${session.restarts} restarts without the connection opening`));
+              return;
+            }
+            session.restarts++;
+            manager.emit('reconnecting', session, disconnect.reason);
+            connectOrRetry(session);
+            return;
+
+          case 'give_up':
+            if (disconnect.reason === 'loggedOut') {
+              session.status = 'logged_out';
+              destroy(session.id, 'logged_out');
+            } else {
+              fail(session, lastDisconnect?.error || new Error(`Connection closed: ${disconnect.reason}`));
+            }
+            return;
+
+          // The creds are unusable; start over with a fresh code or QR
+          case 'wipe':
+            breaker.recordFailure(disconnect.reason);
+            session.pairingCode = null;
+            session.qr = null;
+            session.qrImage = null;
+            authBackend.clear(session.id)
+              .then(() => scheduleReconnect(session, disconnect.reason))
+              .catch(error => fail(session, error));
+            return;
+
+          default:
+            breaker.recordFailure(disconnect.reason);
+            scheduleReconnect(session, disconnect.reason);
+        }
+      }
+    });
+
+    return sock;
+  }
+
+  function recordDisconnect(session, disconnect, error) {
+    session.lastDisconnect = { ...disconnect, message: error?.message || null, at: new Date() };
+    lastDisconnect = session.lastDisconnect;
+  }
+
+  function connectOrRetry(session) {
+    connect(session).catch(error => {
+      if (session.destroyed) return;
+      session.log.warn({ err: error }, 'Connection setup failed');
+      recordDisconnect(session, { statusCode: null, reason: 'connect_error', action: 'reconnect' }, error);
+      breaker.recordFailure('connect_error');
+      scheduleReconnect(session, 'connect_error');
+    });
+  }
+
+  // Waits out the backoff, and the circuit breaker's cooldown if it is open
+  function scheduleReconnect(session, reason) {
+    if (session.destroyed) return;
+    if (session.reconnectAttempts >= maxReconnectAttempts) {
+      fail(session, new Error(`Gave up after ${session.reconnectAttempts} reconnect attempts (last: ${reason})`));
+      return;
+    }
+
+    session.reconnectAttempts++;
+    const delay = Math.max(backoffDelay(session.reconnectAttempts, reconnect), breaker.waitMs());
+    session.log.info({ reason, attempt: session.reconnectAttempts, delayMs: delay }, 'Connection closed, reconnecting');
+    retryAfter(session, reason, delay);
+  }
+
+  // Only one session gets to try a half-open circuit; the others wait for
+  // its outcome without using up an attempt
+  function retryAfter(session, reason, delay) {
+    session.nextRetryAt = new Date(Date.now() + delay);
+    session.reconnectTimer = setTimeout(() => {
+      session.nextRetryAt = null;
+      if (!breaker.allow()) {
+        retryAfter(session, reason, breaker.waitMs() || backoffDelay(1, reconnect));
+        return;
+      }
+      manager.emit('reconnecting', session, reason);
+      connectOrRetry(session);
+    }, delay);
+  }
+
+  function fail(session, error) {
+    if (session.destroyed) return;
+    session.status = 'error';
+    session.error = error;
+    manager.emit('failed', session, error);
+    destroy(session.id, 'error');
+  }
+
+  // Resolves once the session has something to show the user: a pairing
+  // code in 'code' mode, a QR image in 'qr' mode. Rejects with the session's
+  // failure, or with code WHATSAPP_TIMEOUT or SESSION_CLOSED.
+  function waitUntilReady(session) {
+    const readyEvent = session.mode === 'code' ? 'code' : 'qr';
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        cleanupListeners();
+        destroy(session.id, 'timeout');
+        reject(sessionError('WHATSAPP_TIMEOUT', 'Timed out waiting for WhatsApp'));
+      }, READY_TIMEOUT_MS);
+
+      const onReady = (ready) => {
+        if (ready !== session) return;
+        cleanupListeners();
+        resolve(session);
+      };
+      const onError = (failed, error) => {
+        if (failed !== session) return;
+        cleanupListeners();
+        reject(error);
+      };
+      const onClosed = (closed, reason) => {
+        if (closed !== session) return;
+        cleanupListeners();
+        reject(sessionError('SESSION_CLOSED', `Session closed before WhatsApp was ready (${reason})`));
+      };
+      const cleanupListeners = () => {
+        clearTimeout(timer);
+        manager.off(readyEvent, onReady);
+        manager.off('failed', onError);
+        manager.off('closed', onClosed);
+      };
+
+      manager.on(readyEvent, onReady);
+      manager.on('failed', onError);
+      manager.on('closed', onClosed);
+    });
+  }
+
+  // `tenant` is the id of the tenant (lib/tenants.js) the session belongs to
+  async function create({ sessionId, phoneNumber, mode = 'code', tenant = null }) {
+    if (sessions.size >= maxSessions) {
+      throw sessionError('SESSION_LIMIT', `Too many active sessions (limit ${maxSessions})`);
+    }
+    if (!breaker.allow()) {
+      const error = sessionError('CIRCUIT_OPEN', 'WhatsApp connections are failing; new sessions are paused');
+      error.retryAfterMs = breaker.waitMs();
+      throw error;
+    }
+
+    const session = {
+      id: sessionId,
+      tenant: tenant,
+      phoneNumber: phoneNumber,
+      mode: mode,
+      status: 'connecting',
+      socket: null,
+      saveCreds: null,
+      qr: null,
+      qrImage: null,
+      pairingCode: null,
+      createdAt: new Date(),
+      linkedAt: null,
+      linkedTo: null,
+      expiresAt: new Date(Date.now() + expiryMs),
+      expiryTimer: null,
+      reconnectTimer: null,
+      reconnectAttempts: 0,
+      restarts: 0,
+      lastDisconnect: null,
+      nextRetryAt: null,
+      delivered: false,
+      destroyed: false,
+      error: null,
+      log: log.child(tenant ? { sessionId, tenant } : { sessionId }),
+      baileysLogger: null
+    };
+    session.baileysLogger = session.log.child({ component: 'baileys' }, { level: baileysLogLevel });
+    sessions.set(session.id, session);
+    session.log.info({ mode, phoneNumber }, 'Session created');
+
+    session.expiryTimer = setTimeout(() => {
+      if (session.status !== 'linked') {
+        session.status = 'expired';
+        manager.emit('expired', session);
+        destroy(session.id, 'expired');
+      }
+    }, expiryMs);
+
+    const ready = waitUntilReady(session);
+    connectOrRetry(session);
+    return ready;
+  }
+
+  function get(sessionId) {
+    const session = sessions.get(sessionId);
+    return session ? summarize(session) : null;
+  }
+
+  function list() {
+    return Array.from(sessions.values()).map(summarize);
+  }
+
+  // `keepAuthState` leaves the saved creds in the backend for the caller
+  function destroy(sessionId, reason = 'destroyed', { keepAuthState = false } = {}) {
+    const session = sessions.get(sessionId);
+    if (!session) return false;
+
+    session.destroyed = true;
+    clearTimeout(session.expiryTimer);
+    clearTimeout(session.reconnectTimer);
+    sessions.delete(sessionId);
+
+    // end() closes the connection without logging the device out, so a
+    // delivered session string stays usable elsewhere.
+    if (session.socket) {
+      try {
+        session.socket.end(undefined);
+      } catch (error) {
+        session.log.warn({ err: error }, 'Error closing socket');
+      }
+    }
+    if (!keepAuthState) {
+      authBackend.clear(sessionId).catch(error => {
+        session.log.error({ err: error }, 'Error clearing auth state');
+      });
+    }
+
+    manager.emit('closed', session, reason);
+    return true;
+  }
+
+  // Closes every socket without logging the device out and waits for its
+  // auth state to be cleared. Nothing resumes a pairing after a restart (its
+  // code or QR died with the socket), so creds left behind would only pile
+  // up in the backend. For process shutdown.
+  async function close(reason = 'shutdown') {
+    for (const session of Array.from(sessions.values())) {
+      destroy(session.id, reason, { keepAuthState: true });
+      try {
+        await authBackend.clear(session.id);
+      } catch (error) {
+        session.log.error({ err: error }, 'Error clearing auth state');
+      }
+    }
+  }
+
+  // Unlike destroy(), this also unlinks the device from the user's WhatsApp.
+  async function logout(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return false;
+
+    if (session.socket && session.status === 'linked') {
+      try {
+        await session.socket.logout();
+      } catch (error) {
+        session.log.warn({ err: error }, 'Error logging out');
+      }
+    }
+    session.status = 'logged_out';
+    destroy(sessionId, 'logged_out');
+    return true;
+  }
+
+  // Takes effect immediately, including across reconnects
+  function setBaileysLogLevel(sessionId, level) {
+    const session = sessions.get(sessionId);
+    if (!session) return false;
+    session.baileysLogger.level = level;
+    session.log.info({ baileysLogLevel: level }, 'Baileys log level changed');
+    return true;
+  }
+
+  Object.assign(manager, {
+    create,
+    get,
+    list,
+    destroy,
+    logout,
+    setBaileysLogLevel,
+    close,
+    count: () => sessions.size,
+    // Breaker state, the latest disconnect and sessions waiting to reconnect
+    connectionStatus: () => ({
+      circuit: breaker.status(),
+      lastDisconnect,
+      reconnecting: Array.from(sessions.values())
+        .filter(session => session.nextRetryAt)
+        .map(session => ({
+          attempt: session.reconnectAttempts,
+          maxAttempts: maxReconnectAttempts,
+          reason: session.lastDisconnect && session.lastDisconnect.reason,
+          nextRetryAt: session.nextRetryAt
+        }))
+    }),
+    maxSessions
+  });
+
+  return manager;
+}
+
+module.exports = { createSessionManager };
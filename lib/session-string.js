@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+
+// ==================== SESSION STRING FORMAT ====================
+// A session string is `<PREFIX>_<payload>.<checksum>` where payload is the
+// base64url of the deflated JSON map { fileName: fileContents } of the auth
+// state documents a restore needs (see lib/auth-state.js), and checksum is
+// the first 8 hex chars of the payload's SHA-256. The prefix itself must not
+// contain '_'.
+const CHECKSUM_LENGTH = 8;
+
+// The creds, the one-time pre-keys WhatsApp may still hand to contacts and
+// the app state keys. Signal sessions, sender keys and app state versions
+// are rebuilt by the restored socket; they are most of an account's auth
+// state and would push the string past what fits in a message.
+const RESTORE_DOCUMENT = /^(creds|pre-key-.+|app-state-sync-key-.+)\.json$/;
+
+function sessionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function checksum(payload) {
+  return crypto.createHash('sha256').update(payload).digest('hex').slice(0, CHECKSUM_LENGTH);
+}
+
+// `files` is the { name: contents } map an auth state backend's readAll() returns
+function encodeSessionString(files, prefix) {
+  if (!files['creds.json']) {
+    throw sessionError('NO_CREDS', 'Auth state has no creds.json');
+  }
+
+  const needed = Object.fromEntries(Object.entries(files).filter(([name]) => RESTORE_DOCUMENT.test(name)));
+  const payload = zlib.deflateRawSync(JSON.stringify(needed), { level: 9 }).toString('base64url');
+  return `${prefix}_${payload}.${checksum(payload)}`;
+}
+
+// Parses and verifies a session string without touching the disk. When
+// `prefix` is omitted, whatever precedes the first '_' is accepted.
+function parseSessionString(sessionString, prefix) {
+  if (typeof sessionString !== 'string') {
+    throw sessionError('UNKNOWN_FORMAT', 'Session string must be a string');
+  }
+
+  const trimmed = sessionString.trim();
+  const separator = prefix ? prefix.length : trimmed.indexOf('_');
+  if (separator <= 0 || trimmed[separator] !== '_' || (prefix && !trimmed.startsWith(prefix))) {
+    throw sessionError('UNKNOWN_FORMAT', 'Session string has an unknown prefix');
+  }
+
+  const body = trimmed.slice(separator + 1);
+  const dot = body.lastIndexOf('.');
+  if (dot <= 0) {
+    throw sessionError('UNKNOWN_FORMAT', 'Session string is missing its checksum');
+  }
+
+  const payload = body.slice(0, dot);
+  if (checksum(payload) !== body.slice(dot + 1)) {
+    throw sessionError('CORRUPTED', 'Session string checksum does not match');
+  }
+
+  let files;
+  try {
+    files = JSON.parse(zlib.inflateRawSync(Buffer.from(payload, 'base64url')).toString('utf8'));
+  } catch (error) {
+    throw sessionError('CORRUPTED', 'Session string payload could not be decoded');
+  }
+
+  if (!files || typeof files['creds.json'] !== 'string') {
+    throw sessionError('CORRUPTED', 'Session string does not contain creds.json');
+  }
+
+  return { prefix: trimmed.slice(0, separator), files };
+}
+
+// Restores the auth state a session string was exported from into
+// `backend` under `sessionId`, ready for loadAuthState().
+async function decodeSessionString(sessionString, backend, sessionId, prefix) {
+  const { files } = parseSessionString(sessionString, prefix);
+
+  for (const file of Object.keys(files)) {
+    if (path.basename(file) !== file || !file.endsWith('.json')) {
+      throw sessionError('CORRUPTED', `Session string contains an invalid file name: ${file}`);
+    }
+  }
+
+  await backend.clear(sessionId);
+  for (const [file, contents] of Object.entries(files)) {
+    await backend.write(sessionId, file, contents);
+  }
+
+  return Object.keys(files);
+}
+
+module.exports = {
+  encodeSessionString,
+  parseSessionString,
+  decodeSessionString
+};
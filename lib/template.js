@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+const templates = new Map();
+
+// ==================== HTML TEMPLATES ====================
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// Renders views/<name>.html, replacing every {{key}} with the HTML-escaped
+// value from `data`. A placeholder without a value is a bug in the caller,
+// so it throws instead of rendering an empty string.
+function renderTemplate(name, data) {
+  if (!templates.has(name)) {
+    templates.set(name, fs.readFileSync(path.join(VIEWS_DIR, `${name}.html`), 'utf8'));
+  }
+
+  return templates.get(name).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    if (data[key] === undefined || data[key] === null) {
+      throw new Error(`Template ${name} has no value for {{${key}}}`);
+    }
+    return escapeHtml(data[key]);
+  });
+}
+
+module.exports = { escapeHtml, renderTemplate };
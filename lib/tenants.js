@@ -0,0 +1,143 @@
+const { createMemoryCounterStore } = require('./rate-limiter');
+
+const DEFAULT_TENANT_ID = 'default';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PATH_PREFIX = /^\/t\/([^/?#]+)(?=[/?#]|$)/;
+
+// ==================== TENANTS ====================
+// Vendors reselling the page each get a tenant (TENANTS in lib/config.js):
+//   { id, name, tagline?, logoUrl?, footerText?, theme?, sessionPrefix?,
+//     hosts?, dailyQuota? }
+// Missing branding falls back to the top-level settings, and sessionPrefix
+// to the tenant's name (the default tenant keeps SESSION_PREFIX).
+// The top-level settings themselves are the 'default' tenant, which serves
+// every request that doesn't name another one.
+function buildTenant(definition, config) {
+  const isDefault = definition.id === DEFAULT_TENANT_ID;
+  const name = definition.name || config.COMPANY_NAME;
+  return {
+    id: definition.id,
+    name,
+    tagline: definition.tagline || config.TAGLINE,
+    logoUrl: definition.logoUrl || config.LOGO_URL,
+    footerText: definition.footerText || (isDefault ? config.FOOTER_TEXT : null),
+    theme: { ...config.THEME, ...definition.theme },
+    sessionPrefix: definition.sessionPrefix || (isDefault ? config.SESSION_PREFIX : name),
+    hosts: (definition.hosts || []).map(host => host.toLowerCase()),
+    dailyQuota: definition.dailyQuota || null,
+    // Where the tenant's page and API live on any host
+    basePath: isDefault ? '' : `/t/${definition.id}`
+  };
+}
+
+// Finds the tenant a request addresses: a /t/<id> path prefix first, then
+// its host, either listed in `hosts` or <id>.<anything>. API keys bound to
+// a tenant are resolved in lib/api-v1.js.
+function createTenantDirectory(config) {
+  const defaultTenant = buildTenant({
+    id: DEFAULT_TENANT_ID,
+    dailyQuota: config.DAILY_PAIRING_QUOTA
+  }, config);
+  const tenants = new Map([[DEFAULT_TENANT_ID, defaultTenant]]);
+  for (const definition of config.TENANTS) {
+    tenants.set(definition.id, buildTenant(definition, config));
+  }
+
+  function forHost(hostname) {
+    const host = String(hostname || '').toLowerCase();
+    const subdomain = host.includes('.') ? host.slice(0, host.indexOf('.')) : null;
+    for (const tenant of tenants.values()) {
+      if (tenant.hosts.includes(host)) return tenant;
+    }
+    return (subdomain && subdomain !== DEFAULT_TENANT_ID && tenants.get(subdomain)) || defaultTenant;
+  }
+
+  // null when the URL has no prefix; { tenant: null } for an unknown tenant
+  function forPath(url) {
+    const match = PATH_PREFIX.exec(url);
+    if (!match) return null;
+    let id;
+    try {
+      id = decodeURIComponent(match[1]);
+    } catch (error) {
+      // A malformed escape can't name any tenant
+      return { tenant: null, url };
+    }
+    return {
+      tenant: id === DEFAULT_TENANT_ID ? null : tenants.get(id) || null,
+      url: url.slice(match[0].length) || '/'
+    };
+  }
+
+  return {
+    defaultTenant,
+    get: (id) => tenants.get(id) || null,
+    list: () => Array.from(tenants.values()),
+    forHost,
+    forPath
+  };
+}
+
+// ==================== USAGE & QUOTAS ====================
+// Pairings started, devices linked and requests refused over quota, per
+// tenant per UTC day, in a counter store from lib/rate-limiter.js so the
+// counts can survive restarts. Only today's records are kept.
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function createUsageCounters({ store = createMemoryCounterStore(), now = Date.now } = {}) {
+  let currentDay = null;
+
+  function load(tenant) {
+    const day = utcDay(now());
+    if (day !== currentDay) {
+      currentDay = day;
+      for (const key of store.keys()) {
+        if (!key.endsWith(`:${day}`)) store.delete(key);
+      }
+    }
+    const key = `${tenant.id}:${day}`;
+    return { key, record: store.get(key) || { pairings: 0, linked: 0, refused: 0 } };
+  }
+
+  function bump(tenant, field, by = 1) {
+    const { key, record } = load(tenant);
+    record[field] = Math.max(0, record[field] + by);
+    store.set(key, record);
+    return record;
+  }
+
+  // Counts a pairing against the tenant's dailyQuota, or refuses it until
+  // the next UTC midnight
+  function reserve(tenant) {
+    const { record } = load(tenant);
+    if (tenant.dailyQuota && record.pairings >= tenant.dailyQuota) {
+      bump(tenant, 'refused');
+      return { allowed: false, retryAfterMs: DAY_MS - (now() % DAY_MS) };
+    }
+    bump(tenant, 'pairings');
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  function report(tenant) {
+    const { record } = load(tenant);
+    return {
+      date: currentDay,
+      ...record,
+      quota: tenant.dailyQuota,
+      remaining: tenant.dailyQuota ? Math.max(0, tenant.dailyQuota - record.pairings) : null
+    };
+  }
+
+  return {
+    reserve,
+    // Gives back a reserved pairing that never got a session
+    release: (tenant) => bump(tenant, 'pairings', -1),
+    linked: (tenant) => bump(tenant, 'linked'),
+    report,
+    flush: () => store.flush()
+  };
+}
+
+module.exports = { createTenantDirectory, createUsageCounters, DEFAULT_TENANT_ID };
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// ==================== WEBHOOK DELIVERY ====================
+// Each event is POSTed as JSON { id, type, createdAt, data } to every
+// endpoint subscribed to its type. Requests carry:
+//   X-Webhook-Id         event id (stable across retries, use it to dedupe)
+//   X-Webhook-Event      event type, e.g. session.linked
+//   X-Webhook-Timestamp  unix seconds when this attempt was signed
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// Failed deliveries retry with exponential backoff; after the last attempt
+// they go to a dead-letter JSONL file and can be replayed from the admin API.
+const EVENT_TYPES = ['code.created', 'code.expired', 'session.linked', 'session.logged_out', 'session.error'];
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function createWebhookDispatcher({
+  endpoints = [],
+  deadLetterFile,
+  maxAttempts = 6,
+  baseDelayMs = 2000,
+  timeoutMs = 10000
+}) {
+  const deadLetters = new Map();
+  const log = logger.child({ component: 'webhooks' });
+  const scheduledRetries = new Map(); // timer -> { endpoint, event, attempts, lastError, resolve }
+  const inFlight = new Set();
+  let closed = false;
+
+  if (deadLetterFile) {
+    fs.mkdirSync(path.dirname(deadLetterFile), { recursive: true });
+    if (fs.existsSync(deadLetterFile)) {
+      for (const line of fs.readFileSync(deadLetterFile, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const letter = JSON.parse(line);
+          deadLetters.set(letter.id, letter);
+        } catch (error) {
+          log.warn({ file: deadLetterFile }, 'Skipping unreadable line in dead-letter file');
+        }
+      }
+    }
+  }
+
+  function saveDeadLetters() {
+    if (!deadLetterFile) return;
+    const lines = Array.from(deadLetters.values()).map(letter => JSON.stringify(letter) + '\n');
+    fs.writeFileSync(deadLetterFile, lines.join(''));
+  }
+
+  function addDeadLetter(endpoint, event, attempts, lastError) {
+    const letter = {
+      id: crypto.randomUUID(),
+      url: endpoint.url,
+      event,
+      attempts,
+      lastError,
+      failedAt: new Date().toISOString()
+    };
+    deadLetters.set(letter.id, letter);
+    if (deadLetterFile) fs.appendFileSync(deadLetterFile, JSON.stringify(letter) + '\n');
+    log.error({ event: event.type, eventId: event.id, url: endpoint.url, attempts, lastError, letterId: letter.id }, 'Webhook dead-lettered');
+  }
+
+  async function post(endpoint, event) {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'pairing-webhooks/1.0',
+        'X-Webhook-Id': event.id,
+        'X-Webhook-Event': event.type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(endpoint.secret, timestamp, body)}`
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  // Resolves true once delivered, false once dead-lettered
+  function deliver(endpoint, event) {
+    return new Promise((resolve) => {
+      const attempt = async (number) => {
+        const posting = post(endpoint, event);
+        inFlight.add(posting);
+        try {
+          await posting;
+          resolve(true);
+        } catch (error) {
+          if (number >= maxAttempts || closed) {
+            addDeadLetter(endpoint, event, number, error.message);
+            resolve(false);
+            return;
+          }
+          const delay = baseDelayMs * 2 ** (number - 1);
+          const jitter = Math.random() * delay * 0.2;
+          const timer = setTimeout(() => {
+            scheduledRetries.delete(timer);
+            attempt(number + 1);
+          }, delay + jitter);
+          timer.unref();
+          scheduledRetries.set(timer, { endpoint, event, attempts: number, lastError: error.message, resolve });
+        } finally {
+          inFlight.delete(posting);
+        }
+      };
+      attempt(1);
+    });
+  }
+
+  // Waits for requests already on the wire and dead-letters every retry
+  // still waiting for its timer, so they can be replayed after a restart.
+  async function close() {
+    closed = true;
+    for (const [timer, retry] of scheduledRetries) {
+      clearTimeout(timer);
+      addDeadLetter(retry.endpoint, retry.event, retry.attempts, `Not retried before shutdown: ${retry.lastError}`);
+      retry.resolve(false);
+    }
+    scheduledRetries.clear();
+    await Promise.allSettled(Array.from(inFlight));
+  }
+
+  function emit(type, data) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    const targets = endpoints.filter(endpoint => !endpoint.events || endpoint.events.includes(type));
+    return Promise.all(targets.map(endpoint => deliver(endpoint, event)));
+  }
+
+  // Re-sends a dead letter to its original URL and returns the delivery
+  // promise (null for an unknown id). The letter is removed up front; if
+  // delivery fails again it comes back as a new dead letter.
+  function replay(letterId) {
+    const letter = deadLetters.get(letterId);
+    if (!letter) return null;
+
+    const endpoint = endpoints.find(candidate => candidate.url === letter.url);
+    if (!endpoint) {
+      const error = new Error(`No webhook endpoint is configured for ${letter.url}`);
+      error.code = 'UNKNOWN_ENDPOINT';
+      throw error;
+    }
+
+    deadLetters.delete(letterId);
+    saveDeadLetters();
+    return deliver(endpoint, letter.event);
+  }
+
+  return {
+    emit,
+    replay,
+    close,
+    deadLetters: () => Array.from(deadLetters.values()),
+    endpoints: () => endpoints.map(({ url, events }) => ({ url, events: events || EVENT_TYPES }))
+  };
+}
+
+module.exports = { createWebhookDispatcher, signPayload, EVENT_TYPES };
@@ -0,0 +1,293 @@
+// ==================== PAIRING PAGE SCRIPT ====================
+// Served as /js/pairing.js for views/index.html. Server-side settings arrive
+// as data-* attributes on <body>.
+// A tenant's page lives under /t/<id>, and so do the routes it calls
+const BASE_PATH = document.body.dataset.basePath || '';
+let currentCode = '';
+let currentPhone = '';
+let expiryInterval = null;
+
+// Country picker, built from the same table the server validates with
+const countrySelect = document.getElementById('countryCode');
+PhoneNumber.COUNTRIES.forEach(function(country) {
+    const option = document.createElement('option');
+    option.value = country.iso;
+    option.textContent = country.iso + ' +' + country.callingCode;
+    option.title = country.name;
+    countrySelect.appendChild(option);
+});
+countrySelect.value = document.body.dataset.defaultCountry;
+
+// Format phone number as user types
+document.getElementById('phoneNumber').addEventListener('input', function(e) {
+    const value = e.target.value;
+    const plus = value.trim().charAt(0) === '+' ? '+' : '';
+    const digits = value.replace(/[^0-9]/g, '');
+    e.target.value = plus + (digits.match(/.{1,3}/g) || []).join(' ');
+});
+
+function validatePhoneNumber(phone) {
+    return PhoneNumber.parse(phone, countrySelect.value);
+}
+
+// Fetches a proof-of-work challenge and solves it off the main thread (see
+// lib/pow-solver.js); resolves to the fields the pairing routes expect, or
+// to none when the server doesn't ask for one
+async function solveChallenge() {
+    const response = await fetch(BASE_PATH + '/challenge');
+    const data = await response.json();
+    if (!data.challenge) return {};
+
+    return new Promise(function(resolve, reject) {
+        const worker = new Worker('/js/pow-worker.js');
+        worker.onmessage = function(event) {
+            worker.terminate();
+            resolve({ challenge: data.challenge, solution: event.data.solution });
+        };
+        worker.onerror = function(error) {
+            worker.terminate();
+            reject(error);
+        };
+        worker.postMessage({ challenge: data.challenge, difficulty: data.difficulty });
+    });
+}
+
+// POSTs to a pairing route with a solved challenge. If load went up while
+// the browser was solving, the server wants a harder one
+// (CHALLENGE_TOO_EASY), so that gets one more try.
+async function postWithProof(path, body) {
+    for (let attempt = 1; ; attempt++) {
+        const proof = await solveChallenge();
+        const response = await fetch(BASE_PATH + path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...body, ...proof })
+        });
+        const data = await response.json();
+        if (data.code !== 'CHALLENGE_TOO_EASY' || attempt === 2) return data;
+    }
+}
+
+async function generatePairingCode() {
+    const phoneInput = document.getElementById('phoneNumber');
+    const phone = validatePhoneNumber(phoneInput.value);
+    
+    if (!phone.valid) {
+        showNotification('❌ ' + phone.error.message, 'error');
+        phoneInput.focus();
+        return;
+    }
+    
+    try {
+        showNotification('🔐 Checking your browser...', 'info');
+        const data = await postWithProof('/generate-code', { phoneNumber: phone.e164, country: countrySelect.value });
+        
+        if (data.success) {
+            currentCode = data.code;
+            currentPhone = data.phoneNumber;
+            
+            // DISPLAY THE CODE IN THE VISIBLE AREA (grouped, e.g. ABCD-EFGH)
+            showCode(data.displayCode || data.code);
+            
+            // Update info text
+            document.getElementById('codeInfo').innerHTML = `
+                <div>Generated for: <strong>${currentPhone}</strong></div>
+                <div id="expiryTimer" style="margin-top: 10px;">Expires in 10:00</div>
+            `;
+            
+            // Hide QR section if it's showing
+            document.getElementById('qrSection').style.display = 'none';
+            
+            // Start expiry timer
+            startExpiryTimer(data.expiresAt);
+            watchSession(data.sessionId);
+            
+            showNotification(`✅ Pairing code generated for ${currentPhone}`, 'success');
+            
+            // Auto-copy to clipboard after 1 second
+            setTimeout(copyToClipboard, 1000);
+            
+        } else {
+            showNotification('❌ ' + data.message, 'error');
+        }
+    } catch (error) {
+        showNotification('❌ Network error. Please try again.', 'error');
+    }
+}
+
+async function showQRCode() {
+    const phoneInput = document.getElementById('phoneNumber');
+    const phone = validatePhoneNumber(phoneInput.value);
+    
+    if (!phone.valid) {
+        showNotification('❌ ' + phone.error.message, 'error');
+        phoneInput.focus();
+        return;
+    }
+    
+    try {
+        showNotification('🔐 Checking your browser...', 'info');
+        const data = await postWithProof('/getqr', { phoneNumber: phone.e164, country: countrySelect.value });
+        
+        if (data.success && data.qrImage) {
+            document.getElementById('qrImage').src = data.qrImage;
+            document.getElementById('qrSection').style.display = 'block';
+            setBadge('status-qr', 'QR READY - Scan with WhatsApp');
+            watchSession(data.sessionId);
+            
+            if (data.pairingCode) {
+                currentCode = data.pairingCode;
+                currentPhone = data.phoneNumber;
+                document.getElementById('pairingCodeDisplay').textContent = currentCode;
+                document.getElementById('exampleCode').textContent = currentCode;
+            }
+            
+            showNotification(`✅ QR Code ready for ${data.phoneNumber}`, 'success');
+        } else {
+            showNotification(data.message || 'QR code not available', 'warning');
+        }
+    } catch (error) {
+        showNotification('❌ Error loading QR code', 'error');
+    }
+}
+
+function showCode(displayCode) {
+    document.getElementById('pairingCodeDisplay').textContent = displayCode;
+    document.getElementById('exampleCode').textContent = displayCode;
+}
+
+// Copies the code without the display separator
+function copyToClipboard() {
+    if (!currentCode) {
+        showNotification('❌ No code to copy', 'warning');
+        return;
+    }
+    
+    navigator.clipboard.writeText(currentCode).then(() => {
+        showNotification(`✅ Copied to clipboard: ${currentCode}`, 'success');
+    }).catch(err => {
+        showNotification('❌ Could not copy to clipboard', 'error');
+    });
+}
+
+function startExpiryTimer(expiryTime) {
+    if (expiryInterval) clearInterval(expiryInterval);
+    
+    const expiryDate = new Date(expiryTime);
+    
+    function updateTimer() {
+        const now = new Date();
+        const diff = expiryDate - now;
+        
+        if (diff <= 0) {
+            document.getElementById('expiryTimer').textContent = 'CODE EXPIRED';
+            clearInterval(expiryInterval);
+            showNotification('⚠️ This pairing code has expired. Generate a new one.', 'warning');
+            return;
+        }
+        
+        const minutes = Math.floor(diff / 60000);
+        const seconds = Math.floor((diff % 60000) / 1000);
+        
+        document.getElementById('expiryTimer').textContent = 
+            `Expires in ${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+    
+    updateTimer();
+    expiryInterval = setInterval(updateTimer, 1000);
+}
+
+function showNotification(message, type) {
+    const notification = document.getElementById('notification');
+    notification.textContent = message;
+    notification.style.background = type === 'success' ? 'var(--primary-color)' : 
+                                  type === 'error' ? '#ff6b6b' : '#ffa502';
+    notification.style.display = 'block';
+    
+    setTimeout(() => {
+        notification.style.display = 'none';
+    }, 3000);
+}
+
+// Auto-fill example number
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('phoneNumber').value = '723 278 526';
+});
+
+function setBadge(statusClass, text) {
+    document.getElementById('statusBadge').className = 'status-badge ' + statusClass;
+    document.getElementById('statusText').textContent = text;
+}
+
+function stopExpiryTimer(text) {
+    if (expiryInterval) clearInterval(expiryInterval);
+    const timer = document.getElementById('expiryTimer');
+    if (timer) timer.textContent = text;
+}
+
+// Follow this page's own pairing session over Server-Sent Events
+let eventSource = null;
+
+function watchSession(sessionId) {
+    if (eventSource) eventSource.close();
+    eventSource = new EventSource(BASE_PATH + '/events/' + encodeURIComponent(sessionId));
+    
+    eventSource.addEventListener('qr', function(e) {
+        const data = JSON.parse(e.data);
+        document.getElementById('qrImage').src = data.qrImage;
+        document.getElementById('qrSection').style.display = 'block';
+        setBadge('status-qr', 'QR READY - Scan with WhatsApp');
+    });
+    
+    eventSource.addEventListener('code', function(e) {
+        const data = JSON.parse(e.data);
+        currentCode = data.code;
+        showCode(data.displayCode || data.code);
+        setBadge('status-qr', 'CODE ISSUED - Enter it in WhatsApp');
+    });
+    
+    eventSource.addEventListener('linked', function() {
+        document.getElementById('qrSection').style.display = 'none';
+        stopExpiryTimer('✅ Linked! Check your WhatsApp for your SESSION_ID');
+        setBadge('status-online', 'LINKED - Device paired successfully');
+        showNotification('✅ Device linked! Your SESSION_ID was sent to WhatsApp', 'success');
+    });
+    
+    eventSource.addEventListener('expired', function() {
+        document.getElementById('qrSection').style.display = 'none';
+        stopExpiryTimer('CODE EXPIRED');
+        setBadge('status-offline', 'EXPIRED - Generate a new code');
+        showNotification('⚠️ This pairing code has expired. Generate a new one.', 'warning');
+    });
+    
+    eventSource.addEventListener('logged_out', function() {
+        setBadge('status-offline', 'LOGGED OUT - Pair again to continue');
+        showNotification('⚠️ The device was logged out', 'warning');
+    });
+    
+    // Named 'error' events carry data; the browser's own connection
+    // errors do not
+    eventSource.addEventListener('error', function(e) {
+        if (!e.data) return;
+        const data = JSON.parse(e.data);
+        stopExpiryTimer('Pairing failed');
+        setBadge('status-offline', 'ERROR - Please try again');
+        showNotification('❌ ' + data.message, 'error');
+    });
+    
+    eventSource.addEventListener('closed', function() {
+        eventSource.close();
+        eventSource = null;
+    });
+}
+
+// Show whether the service can take a new pairing right now
+fetch(BASE_PATH + '/status').then(response => response.json()).then(data => {
+    if (data.bot === 'online') {
+        setBadge('status-online', 'ONLINE - Ready for pairing');
+    } else if (data.bot === 'busy') {
+        setBadge('status-qr', 'BUSY - Pairing other devices');
+    } else if (data.bot === 'unavailable') {
+        setBadge('status-offline', 'UNAVAILABLE - WhatsApp is unreachable');
+    }
+}).catch(error => console.log('Status check error:', error));
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, waitFor, requestCode } = require('./helpers/app');
+
+const TOKEN = 'test-admin-token';
+const BEARER = { Authorization: `Bearer ${TOKEN}` };
+const BASIC = { Authorization: `Basic ${Buffer.from(`admin:${TOKEN}`).toString('base64')}` };
+
+const startAdminApp = () => startTestApp({ env: { ADMIN_TOKEN: TOKEN } });
+
+test('Basic auth only makes changes with the dashboard\'s CSRF token', async (t) => {
+  const app = await startAdminApp();
+  t.after(() => app.stop());
+
+  const dashboard = await app.request('GET', '/admin/', null, BASIC);
+  assert.equal(dashboard.status, 200);
+  const csrf = /const CSRF_TOKEN = "([0-9a-f]+)";/.exec(dashboard.body)[1];
+  assert.equal((await app.request('GET', '/admin/api/codes', null, BASIC)).status, 200);
+
+  // What a form on another site could make the browser send
+  const forged = await app.request('POST', '/admin/api/purge', null, BASIC);
+  assert.equal(forged.status, 403);
+  const wrong = await app.request('POST', '/admin/api/purge', null, { ...BASIC, 'X-CSRF-Token': 'nope' });
+  assert.equal(wrong.status, 403);
+
+  const fromDashboard = await app.request('POST', '/admin/api/purge', null, { ...BASIC, 'X-CSRF-Token': csrf });
+  assert.equal(fromDashboard.status, 200);
+  assert.equal((await app.request('POST', '/admin/api/purge', null, BEARER)).status, 200);
+  assert.equal((await app.request('POST', '/admin/api/purge', null, { 'X-Admin-Token': TOKEN })).status, 200);
+});
+
+test('only pending codes can be revoked', async (t) => {
+  const app = await startAdminApp();
+  t.after(() => app.stop());
+
+  const pending = await requestCode(app);
+  const revoked = await app.request('DELETE', `/admin/api/codes/${pending.res.body.code}`, null, BEARER);
+  assert.equal(revoked.status, 200);
+  assert.equal(app.pairingCodes.get(pending.res.body.code).status, 'revoked');
+  assert.equal(app.sessions.get(pending.res.body.sessionId), null);
+
+  const linked = await requestCode(app, { phoneNumber: '+254722000111' });
+  linked.sock.open('254722000111:7@s.whatsapp.net');
+  await waitFor(() => !app.sessions.get(linked.res.body.sessionId), { message: 'session string delivery' });
+  assert.equal(app.pairingCodes.get(linked.res.body.code).status, 'linked');
+
+  const refused = await app.request('DELETE', `/admin/api/codes/${linked.res.body.code}`, null, BEARER);
+  assert.equal(refused.status, 409);
+  assert.equal(app.pairingCodes.get(linked.res.body.code).status, 'linked');
+  assert.equal((await app.request('DELETE', `/admin/api/codes/${pending.res.body.code}`, null, BEARER)).status, 409);
+});
@@ -0,0 +1,203 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, waitFor } = require('./helpers/app');
+
+const API_KEY = 'test-api-key-0123456789abcdef';
+const AUTH = { Authorization: `Bearer ${API_KEY}` };
+const API_KEYS = JSON.stringify([{ name: 'tests', key: API_KEY }]);
+
+async function startApiApp(env = {}) {
+  return startTestApp({ env: { API_KEYS, ...env } });
+}
+
+// POST /api/v1/pairings and play WhatsApp's part up to the first QR
+async function createPairing(app, body = { phoneNumber: '+254712345678' }) {
+  const index = app.fake.sockets.length;
+  const response = app.request('POST', '/api/v1/pairings', body, AUTH);
+  const sock = await app.fake.socket(index);
+  sock.qr();
+  return { res: await response, sock };
+}
+
+test('requests without a valid API key get 401', async (t) => {
+  const app = await startApiApp();
+  t.after(() => app.stop());
+
+  const missing = await app.request('GET', '/api/v1/status');
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.error.code, 'UNAUTHORIZED');
+  assert.match(missing.headers.get('www-authenticate'), /^Bearer/);
+
+  const wrong = await app.request('GET', '/api/v1/status', null, { 'X-API-Key': 'not-the-key' });
+  assert.equal(wrong.status, 401);
+
+  const right = await app.request('GET', '/api/v1/status', null, { 'X-API-Key': API_KEY });
+  assert.equal(right.status, 200);
+  assert.equal(right.body.bot, 'online');
+});
+
+test('the API is disabled without API_KEYS, but the OpenAPI document is served', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  const res = await app.request('GET', '/api/v1/status', null, AUTH);
+  assert.equal(res.status, 503);
+  assert.equal(res.body.error.code, 'API_DISABLED');
+
+  const doc = await app.request('GET', '/api/v1/openapi.json');
+  assert.equal(doc.status, 200);
+  assert.equal(doc.body.openapi, '3.0.3');
+  assert.ok(doc.body.paths['/pairings'].post);
+  assert.ok(doc.body.components.schemas.Error.properties.error.properties.code.enum.includes('RATE_LIMITED'));
+});
+
+test('POST /pairings creates a code pairing that can be fetched and cancelled', async (t) => {
+  const app = await startApiApp();
+  t.after(() => app.stop());
+
+  const { res } = await createPairing(app);
+  assert.equal(res.status, 201);
+  const { pairing } = res.body;
+  assert.equal(res.headers.get('location'), pairing.links.self);
+  assert.equal(pairing.mode, 'code');
+  assert.equal(pairing.status, 'code_issued');
+  assert.match(pairing.code, /^[1-9A-HJ-NP-TV-Z]{8}$/);
+  assert.equal(pairing.links.qr, null);
+
+  const fetched = await app.request('GET', pairing.links.self, null, AUTH);
+  assert.equal(fetched.status, 200);
+  assert.equal(fetched.body.pairing.code, pairing.code);
+
+  const cancelled = await app.request('DELETE', pairing.links.self, null, AUTH);
+  assert.equal(cancelled.status, 204);
+
+  // Still answered from the code store once the session is gone
+  const finished = await app.request('GET', pairing.links.self, null, AUTH);
+  assert.equal(finished.body.pairing.status, 'expired');
+  const again = await app.request('DELETE', pairing.links.self, null, AUTH);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error.code, 'PAIRING_FINISHED');
+});
+
+test('a QR pairing serves its QR as JSON or PNG', async (t) => {
+  const app = await startApiApp();
+  t.after(() => app.stop());
+
+  const { res } = await createPairing(app, { phoneNumber: '+254712345678', mode: 'qr' });
+  const { pairing } = res.body;
+  assert.equal(pairing.status, 'qr_ready');
+
+  const asJson = await app.request('GET', pairing.links.qr, null, AUTH);
+  assert.equal(asJson.status, 200);
+  assert.equal(asJson.body.qr.value, 'fake-qr-1');
+  assert.match(asJson.body.qr.image, /^data:image\/png;base64,/);
+
+  const asPng = await app.request('GET', pairing.links.qr, null, { ...AUTH, Accept: 'image/png' });
+  assert.equal(asPng.status, 200);
+  assert.equal(asPng.headers.get('content-type'), 'image/png');
+});
+
+test('a code pairing has no QR', async (t) => {
+  const app = await startApiApp();
+  t.after(() => app.stop());
+
+  const { res } = await createPairing(app);
+  const qr = await app.request('GET', `${res.body.pairing.links.self}/qr`, null, AUTH);
+  assert.equal(qr.status, 409);
+  assert.equal(qr.body.error.code, 'QR_NOT_AVAILABLE');
+});
+
+test('bad input gets 400 or 422 with a machine-readable code', async (t) => {
+  const app = await startApiApp();
+  t.after(() => app.stop());
+
+  const badMode = await app.request('POST', '/api/v1/pairings', { phoneNumber: '+254712345678', mode: 'sms' }, AUTH);
+  assert.equal(badMode.status, 400);
+  assert.equal(badMode.body.error.code, 'VALIDATION_ERROR');
+
+  const badPhone = await app.request('POST', '/api/v1/pairings', { phoneNumber: '12' }, AUTH);
+  assert.equal(badPhone.status, 422);
+  assert.equal(badPhone.body.error.code, 'INVALID_PHONE');
+  assert.ok(badPhone.body.error.details);
+
+  const badJson = await app.request('POST', '/api/v1/pairings', '{"phoneNumber":', AUTH);
+  assert.equal(badJson.status, 400);
+  assert.equal(badJson.body.error.code, 'INVALID_JSON');
+
+  const unknown = await app.request('GET', '/api/v1/nothing-here', null, AUTH);
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.error.code, 'NOT_FOUND');
+
+  const missing = await app.request('GET', '/api/v1/pairings/nope', null, AUTH);
+  assert.equal(missing.status, 404);
+  assert.equal(app.fake.sockets.length, 0);
+});
+
+test('limits are answered with 429 and 503 plus Retry-After', async (t) => {
+  const app = await startApiApp({
+    MAX_SESSIONS: '1',
+    RATE_LIMITS: JSON.stringify({ ip: { windowMs: 60000, max: 1 }, phone: { windowMs: 60000, max: 1 } })
+  });
+  t.after(() => app.stop());
+
+  // The per-IP limit doesn't apply to API clients
+  await createPairing(app);
+  const limited = await app.request('POST', '/api/v1/pairings', { phoneNumber: '+254712345678' }, AUTH);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error.code, 'RATE_LIMITED');
+  assert.equal(limited.headers.get('retry-after'), String(limited.body.error.retryAfter));
+
+  const busy = await app.request('POST', '/api/v1/pairings', { phoneNumber: '+254722000111' }, AUTH);
+  assert.equal(busy.status, 503);
+  assert.equal(busy.body.error.code, 'SESSION_LIMIT');
+});
+
+test('new pairings get 503 SHUTTING_DOWN while draining', async (t) => {
+  const app = await startApiApp({ SHUTDOWN_DRAIN_TIMEOUT_MS: '2000' });
+  t.after(() => app.stop());
+
+  const { res } = await createPairing(app);
+  const shutdown = app.lifecycle.shutdown('SIGTERM');
+
+  const refused = await app.request('POST', '/api/v1/pairings', { phoneNumber: '+254722000111' }, AUTH);
+  assert.equal(refused.status, 503);
+  assert.equal(refused.body.error.code, 'SHUTTING_DOWN');
+  assert.equal(refused.headers.get('retry-after'), '2');
+
+  app.sessions.destroy(res.body.pairing.id, 'delivered');
+  await shutdown;
+});
+
+test('sessions can be listed, fetched, validated and logged out', async (t) => {
+  const app = await startApiApp();
+  t.after(() => app.stop());
+
+  const { res } = await createPairing(app);
+  const { id } = res.body.pairing;
+
+  const list = await app.request('GET', '/api/v1/sessions', null, AUTH);
+  assert.deepEqual(list.body.sessions.map(session => session.id), [id]);
+  const one = await app.request('GET', `/api/v1/sessions/${encodeURIComponent(id)}`, null, AUTH);
+  assert.equal(one.body.session.status, 'code_issued');
+
+  const check = await app.request('POST', '/api/v1/sessions/validate', { sessionString: 'nonsense' }, AUTH);
+  assert.equal(check.status, 200);
+  assert.equal(check.body.check.status, 'unknown_format');
+
+  const logout = await app.request('POST', `/api/v1/sessions/${encodeURIComponent(id)}/logout`, null, AUTH);
+  assert.equal(logout.status, 204);
+  await waitFor(() => !app.sessions.get(id), { message: 'session to close' });
+
+  const gone = await app.request('GET', `/api/v1/sessions/${encodeURIComponent(id)}`, null, AUTH);
+  assert.equal(gone.status, 404);
+});
+
+test('the page routes keep answering 200 with success: false', async (t) => {
+  const app = await startApiApp();
+  t.after(() => app.stop());
+
+  const res = await app.request('POST', '/generate-code', { phoneNumber: '12' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, false);
+  assert.ok(res.body.error);
+});
@@ -0,0 +1,233 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestApp, waitFor, requestCode } = require('./helpers/app');
+const { createAuditLog, entryHash, GENESIS_HASH } = require('../lib/audit-log');
+
+const ADMIN = { Authorization: 'Bearer test-admin-token' };
+
+const startAuditApp = (options = {}) => startTestApp({ ...options, env: { ADMIN_TOKEN: 'test-admin-token', ...options.env } });
+
+function tempLog(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'audit.jsonl');
+}
+
+test('a pairing is audited from request to link without storing the number', async (t) => {
+  const app = await startAuditApp();
+  t.after(() => app.stop());
+
+  const { res, sock } = await requestCode(app);
+  sock.open('254712345678:7@s.whatsapp.net');
+  await waitFor(() => !app.sessions.get(res.body.sessionId), { message: 'delivery' });
+
+  const { entries } = await app.audit.query({ sessionId: res.body.sessionId });
+  assert.deepEqual(entries.map(entry => [entry.event, entry.outcome, entry.actor]), [
+    ['code.generated', 'success', 'page'],
+    ['link.completed', 'success', 'system']
+  ]);
+  for (const entry of entries) {
+    assert.match(entry.ip, /127\.0\.0\.1$/);
+    assert.equal(entry.phoneHash, app.audit.hashPhone('+254712345678'));
+    assert.equal(entry.tenant, 'default');
+  }
+  assert.doesNotMatch(fs.readFileSync(app.audit.file, 'utf8'), /254712345678/);
+});
+
+test('refused requests and expired codes are audited with their outcome', async (t) => {
+  const app = await startAuditApp({
+    config: { CODE_EXPIRY_MINUTES: 0.005 },
+    env: { RATE_LIMITS: JSON.stringify({ phone: { windowMs: 60000, max: 1 } }) }
+  });
+  t.after(() => app.stop());
+
+  await app.request('POST', '/generate-code', { phoneNumber: '12' });
+  const { res } = await requestCode(app);
+  await app.request('POST', '/getqr', { phoneNumber: '+254712345678' });
+  await waitFor(() => app.pairingCodes.get(res.body.code).status === 'expired', { message: 'code expiry' });
+
+  const { entries } = await app.audit.query();
+  assert.deepEqual(entries.map(entry => [entry.event, entry.outcome]), [
+    ['code.generated', 'invalid_phone'],
+    ['code.generated', 'success'],
+    ['qr.served', 'rate_limited'],
+    ['code.expired', 'expired']
+  ]);
+  assert.equal(entries[0].phoneHash, null);
+  assert.equal(entries[2].phoneHash, entries[1].phoneHash);
+  assert.equal(entries[3].sessionId, res.body.sessionId);
+});
+
+test('refused requests are rate limited by IP and their repeats merged', async (t) => {
+  const app = await startAuditApp({
+    env: { RATE_LIMITS: JSON.stringify({ ip: { windowMs: 60000, max: 2 } }) }
+  });
+  t.after(() => app.stop());
+
+  const statuses = [];
+  for (let i = 0; i < 6; i++) {
+    statuses.push((await app.request('POST', '/generate-code', { phoneNumber: '12' })).status);
+  }
+  assert.deepEqual(statuses, [200, 200, 429, 429, 429, 429]);
+
+  const { entries } = await app.audit.query();
+  assert.deepEqual(entries.map(entry => entry.outcome), ['invalid_phone', 'rate_limited']);
+
+  // Closing the windows writes one entry per outcome for the repeats
+  app.audit.close();
+  const merged = (await app.audit.query()).entries.slice(2);
+  assert.deepEqual(merged.map(entry => [entry.outcome, entry.details.repeats]), [
+    ['invalid_phone', 1],
+    ['rate_limited', 3]
+  ]);
+  assert.match(merged[1].ip, /127\.0\.0\.1$/);
+});
+
+test('repeated refusals are written once per window', async (t) => {
+  const file = tempLog(t);
+  const audit = createAuditLog({ file, refusalWindowMs: 50 });
+  t.after(() => audit.close());
+  const refusal = { event: 'code.generated', outcome: 'invalid_phone', ip: '203.0.113.9', actor: 'page' };
+
+  for (let i = 0; i < 5; i++) audit.recordRefused(refusal);
+  audit.recordRefused({ ...refusal, ip: '198.51.100.1' });
+  assert.equal((await audit.query()).entries.length, 2);
+
+  await waitFor(async () => (await audit.query()).entries.length === 3, { message: 'window close' });
+  const [, , summary] = (await audit.query()).entries;
+  assert.equal(summary.ip, '203.0.113.9');
+  assert.equal(summary.details.repeats, 4);
+
+  // A new window starts with the next refusal
+  assert.ok(audit.recordRefused(refusal));
+  assert.equal((await audit.verify()).valid, true);
+});
+
+test('admin actions and logouts are audited', async (t) => {
+  const app = await startAuditApp();
+  t.after(() => app.stop());
+
+  const { res } = await requestCode(app);
+  const id = encodeURIComponent(res.body.sessionId);
+  const logout = await app.request('POST', `/admin/api/sessions/${id}/logout`, null, ADMIN);
+  assert.equal(logout.status, 200);
+
+  const { entries } = await app.audit.query({ sessionId: res.body.sessionId });
+  // The code was still pending, so it expires with the session
+  const events = entries.map(entry => entry.event);
+  assert.deepEqual(events, ['code.generated', 'code.expired', 'session.logout', 'admin.action']);
+  const action = entries[3];
+  assert.equal(action.actor, 'admin');
+  assert.deepEqual(action.details, { action: 'logout_session' });
+  assert.equal(action.phoneHash, entries[0].phoneHash);
+});
+
+test('the admin API queries and exports the log by phone, session and time', async (t) => {
+  const app = await startAuditApp();
+  t.after(() => app.stop());
+
+  const first = await requestCode(app);
+  await requestCode(app, { phoneNumber: '+254722000111' });
+
+  const unauthenticated = await app.request('GET', '/admin/api/audit');
+  assert.equal(unauthenticated.status, 401);
+
+  // Any formatting of the number finds it
+  const byPhone = await app.request('GET', `/admin/api/audit?phone=${encodeURIComponent('+254 712 345 678')}`, null, ADMIN);
+  assert.equal(byPhone.status, 200);
+  assert.deepEqual(byPhone.body.entries.map(entry => entry.sessionId), [first.res.body.sessionId]);
+
+  const bySession = await app.request('GET', `/admin/api/audit?sessionId=${encodeURIComponent(first.res.body.sessionId)}`, null, ADMIN);
+  assert.equal(bySession.body.count, 1);
+
+  const future = new Date(Date.now() + 60000).toISOString();
+  const byTime = await app.request('GET', `/admin/api/audit?from=${future}`, null, ADMIN);
+  assert.equal(byTime.body.count, 0);
+  const limited = await app.request('GET', '/admin/api/audit?limit=1', null, ADMIN);
+  assert.equal(limited.body.truncated, true);
+  const badDate = await app.request('GET', '/admin/api/audit?to=yesterday', null, ADMIN);
+  assert.equal(badDate.status, 400);
+
+  const jsonl = await app.request('GET', '/admin/api/audit/export', null, ADMIN);
+  assert.match(jsonl.headers.get('content-disposition'), /attachment; filename="audit-log-\d{8}T\d{6}\.jsonl"/);
+  const exported = jsonl.body.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(exported.map(entry => entry.seq), [1, 2]);
+
+  const csv = await app.request('GET', '/admin/api/audit/export?format=csv&event=code.generated', null, ADMIN);
+  const rows = csv.body.trim().split('\n');
+  assert.equal(rows[0], 'seq,at,event,outcome,ip,phoneHash,sessionId,tenant,actor,details,prevHash,hash');
+  assert.equal(rows.length, 3);
+
+  const verify = await app.request('GET', '/admin/api/audit/verify', null, ADMIN);
+  assert.equal(verify.body.valid, true);
+  assert.equal(verify.body.entries, 2);
+});
+
+test('edits to the log break the hash chain', async (t) => {
+  const file = tempLog(t);
+  const audit = createAuditLog({ file, secret: 'x'.repeat(32) });
+  for (const outcome of ['success', 'rate_limited', 'success']) {
+    audit.record({ event: 'code.generated', outcome, ip: '203.0.113.9', phoneNumber: '+254712345678' });
+  }
+  assert.equal((await audit.verify()).valid, true);
+
+  const original = fs.readFileSync(file, 'utf8');
+  fs.writeFileSync(file, original.replace('203.0.113.9', '198.51.100.1'));
+  assert.deepEqual(await audit.verify(), {
+    valid: false,
+    entries: 0,
+    brokenAt: { line: 1, seq: 1 },
+    reason: 'hash does not match the entry'
+  });
+
+  const lines = original.trim().split('\n');
+  fs.writeFileSync(file, [lines[0], lines[2]].join('\n') + '\n');
+  const removed = await audit.verify();
+  assert.equal(removed.valid, false);
+  assert.equal(removed.reason, 'expected seq 2');
+});
+
+test('an edited log can\'t be re-chained without the key', async (t) => {
+  const file = tempLog(t);
+  const audit = createAuditLog({ file, secret: 'x'.repeat(32) });
+  for (const outcome of ['success', 'rate_limited', 'success']) {
+    audit.record({ event: 'code.generated', outcome, ip: '203.0.113.9' });
+  }
+
+  // Rewrite the first entry and recompute every hash after it
+  let prevHash = GENESIS_HASH;
+  const forged = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => {
+    const entry = { ...JSON.parse(line), ip: '198.51.100.1', prevHash };
+    entry.hash = entryHash(entry, 'y'.repeat(32));
+    prevHash = entry.hash;
+    return JSON.stringify(entry);
+  });
+  fs.writeFileSync(file, forged.join('\n') + '\n');
+
+  const verdict = await audit.verify();
+  assert.equal(verdict.valid, false);
+  assert.deepEqual(verdict.brokenAt, { line: 1, seq: 1 });
+  assert.equal(verdict.reason, 'hash does not match the entry');
+});
+
+test('the chain continues across restarts, even after a torn line', async (t) => {
+  const file = tempLog(t);
+  createAuditLog({ file }).record({ event: 'code.generated', outcome: 'success' });
+
+  const reopened = createAuditLog({ file });
+  assert.equal(reopened.record({ event: 'code.expired', outcome: 'expired' }).seq, 2);
+  assert.equal((await reopened.verify()).valid, true);
+  // Without AUDIT_HASH_SECRET the key is kept next to the log
+  assert.equal(reopened.hashPhone('+254712345678'), createAuditLog({ file }).hashPhone('254712345678'));
+
+  fs.appendFileSync(file, '{"seq":3,"at":"20');
+  const afterCrash = createAuditLog({ file });
+  assert.equal(afterCrash.record({ event: 'code.generated', outcome: 'success' }).seq, 3);
+  const verdict = await afterCrash.verify();
+  assert.equal(verdict.valid, false);
+  assert.equal(verdict.reason, 'unreadable line');
+  assert.equal(verdict.entries, 2);
+});
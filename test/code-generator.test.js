@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCodeGenerator, checkCharacter, ALPHABETS } = require('../lib/code-generator');
+const { loadConfig } = require('../lib/config');
+
+test('codes use only the chosen alphabet and length', () => {
+  for (const alphabet of Object.keys(ALPHABETS)) {
+    const generator = createCodeGenerator({ alphabet, length: 8 });
+    for (let i = 0; i < 200; i++) {
+      const code = generator.generate();
+      assert.equal(code.length, 8);
+      assert.ok([...code].every(char => ALPHABETS[alphabet].includes(char)), `${code} is outside ${alphabet}`);
+    }
+  }
+  assert.equal(createCodeGenerator({ alphabet: 'XY', length: 5 }).generate().replace(/[XY]/g, ''), '');
+});
+
+test('no-lookalikes codes never contain 0, O, 1, I or L', () => {
+  const generator = createCodeGenerator({ alphabet: 'no-lookalikes' });
+  for (let i = 0; i < 500; i++) {
+    assert.doesNotMatch(generator.generate(), /[0O1IL]/);
+  }
+});
+
+test('a check character catches single mistyped characters', () => {
+  const generator = createCodeGenerator({ checkChar: true });
+  const checks = code => checkCharacter(code.slice(0, -1), generator.alphabet) === code.slice(-1);
+  for (let i = 0; i < 50; i++) {
+    const code = generator.generate();
+    assert.equal(code.length, 8);
+    assert.ok(checks(code));
+
+    const position = i % 8;
+    const wrong = generator.alphabet[(generator.alphabet.indexOf(code[position]) + 1) % generator.alphabet.length];
+    assert.equal(checks(code.slice(0, position) + wrong + code.slice(position + 1)), false);
+  }
+});
+
+test('normalize accepts lower case, spaces, dashes and lookalikes', () => {
+  const generator = createCodeGenerator({ alphabet: 'whatsapp' });
+  assert.equal(generator.normalize(' abcd-efgh '), 'ABCDEFGH');
+  assert.equal(generator.normalize('ab cd ef gh'), 'ABCDEFGH');
+  assert.equal(generator.normalize('i1l1-2345'), '11L12345');
+
+  const dotted = createCodeGenerator({ alphabet: 'no-lookalikes', separator: '.' });
+  assert.equal(dotted.normalize('abcd.efgh'), 'ABCDEFGH');
+});
+
+test('format groups codes for display', () => {
+  assert.equal(createCodeGenerator().format('ABCDEFGH'), 'ABCD-EFGH');
+  assert.equal(createCodeGenerator({ groupSize: 3, separator: ' ' }).format('ABCDEFGH'), 'ABC DEF GH');
+  assert.equal(createCodeGenerator({ groupSize: 0 }).format('ABCDEFGH'), 'ABCDEFGH');
+});
+
+test('codes already in use are drawn again', () => {
+  const issued = new Set();
+  // Enough attempts that the last free code is always found
+  const generator = createCodeGenerator({ alphabet: 'XY', length: 3, maxAttempts: 500, isTaken: code => issued.has(code) });
+  for (let i = 0; i < 8; i++) {
+    issued.add(generator.generate());
+  }
+  assert.equal(issued.size, 8);
+  assert.throws(() => generator.generate(), { code: 'CODE_SPACE_EXHAUSTED' });
+});
+
+test('bad alphabets and lengths are rejected', () => {
+  assert.throws(() => createCodeGenerator({ alphabet: 'abc' }), { code: 'INVALID_ALPHABET' });
+  assert.throws(() => createCodeGenerator({ alphabet: 'AAB' }), { code: 'INVALID_ALPHABET' });
+  // WhatsApp would refuse codes containing 0, O, I or U
+  for (const alphabet of ['alphanumeric', 'numeric', 'ABC0', 'OU']) {
+    assert.throws(() => createCodeGenerator({ alphabet }), { code: 'INVALID_ALPHABET' }, alphabet);
+  }
+  assert.throws(() => createCodeGenerator({ length: 1, checkChar: true }), { code: 'INVALID_LENGTH' });
+});
+
+test('config only allows codes WhatsApp accepts', () => {
+  assert.throws(() => loadConfig({ baseDir: __dirname, env: { CODE_LENGTH: '6' } }), /CODE_LENGTH must be 8/);
+  assert.throws(() => loadConfig({ baseDir: __dirname, env: { CODE_ALPHABET: 'a-z' } }), /CODE_ALPHABET/);
+  assert.throws(() => loadConfig({ baseDir: __dirname, env: { CODE_ALPHABET: 'numeric' } }), /CODE_ALPHABET/);
+  assert.equal(loadConfig({ baseDir: __dirname, env: { CODE_ALPHABET: 'ABCDEF23' } }).CODE_ALPHABET, 'ABCDEF23');
+  assert.equal(loadConfig({ baseDir: __dirname, env: { CODE_CHECK_CHAR: 'true' } }).CODE_CHECK_CHAR, true);
+});
@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestApp, waitFor, requestCode } = require('./helpers/app');
+const { createFileCodeStore, readCodeLog } = require('../lib/code-store');
+
+// CODE_EXPIRY_MINUTES can't go below a minute, so the expiry is set past
+// the config schema
+const EXPIRY = { CODE_EXPIRY_MINUTES: 0.005 }; // 300ms
+
+test('an unused code expires with its session', async (t) => {
+  const app = await startTestApp({ config: EXPIRY });
+  t.after(() => app.stop());
+
+  const { res, sock } = await requestCode(app);
+  assert.equal(app.pairingCodes.get(res.body.code).status, 'pending');
+
+  await waitFor(() => app.pairingCodes.get(res.body.code).status === 'expired', { message: 'code expiry' });
+  assert.equal(app.sessions.get(res.body.sessionId), null);
+  assert.equal(sock.ended, true);
+
+  const status = await app.request('GET', '/status');
+  assert.equal(status.body.sessions, 0);
+
+  const metrics = await app.request('GET', '/metrics');
+  assert.match(metrics.body, /^pairing_codes_expired_total 1$/m);
+});
+
+test('a code linked in time does not expire', async (t) => {
+  const app = await startTestApp({ config: EXPIRY });
+  t.after(() => app.stop());
+
+  const { res, sock } = await requestCode(app);
+  sock.open();
+
+  await waitFor(() => app.pairingCodes.get(res.body.code).status === 'linked', { message: 'link' });
+  await new Promise(resolve => setTimeout(resolve, 400));
+  assert.equal(app.pairingCodes.get(res.body.code).status, 'linked');
+});
+
+test('a code issued after the creds were wiped replaces the old one', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  const { res, sock } = await requestCode(app);
+  sock.close('badSession');
+  const next = await app.fake.socket(1);
+  next.qr();
+
+  const code = await waitFor(() => next.pairingRequests.length && app.sessions.get(res.body.sessionId).pairingCode, {
+    message: 'new code'
+  });
+  assert.notEqual(code, res.body.code);
+  assert.equal(app.pairingCodes.get(res.body.code).status, 'expired');
+  assert.equal(app.pairingCodes.get(code).status, 'pending');
+  assert.equal(app.pairingCodes.get(code).sessionId, res.body.sessionId);
+});
+
+test('finished codes survive a restart until their retention runs out', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'codes.jsonl');
+  const retentionMs = 60 * 60 * 1000;
+  const ago = ms => new Date(Date.now() - ms);
+
+  const before = createFileCodeStore({ file, retentionMs });
+  before.put({ code: 'LINKED01', status: 'linked', createdAt: ago(600000), expiresAt: ago(300000), linkedAt: ago(500000) });
+  before.put({ code: 'PENDING1', status: 'pending', createdAt: ago(600000), expiresAt: ago(300000) });
+  before.put({ code: 'ANCIENT1', status: 'linked', createdAt: ago(2 * retentionMs), expiresAt: ago(retentionMs + 1000) });
+  before.close();
+
+  const after = createFileCodeStore({ file, retentionMs });
+  assert.equal(after.get('LINKED01').status, 'linked');
+  assert.ok(after.get('LINKED01').linkedAt instanceof Date);
+  assert.equal(after.get('ANCIENT1'), null);
+  // Left for the sweeper, so it is reported like any other expiry
+  assert.equal(after.get('PENDING1').status, 'pending');
+  after.close();
+});
+
+test('codes left pending by the previous process are reported expired at boot', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'codes.jsonl');
+  const entry = {
+    code: 'WXYZ2345',
+    sessionId: 'crashed-session',
+    phoneNumber: '254712345678',
+    status: 'pending',
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + 60000)
+  };
+  fs.writeFileSync(file, JSON.stringify({ op: 'put', entry }) + '\n');
+
+  const app = await startTestApp({ env: { CODE_STORE: 'file', CODE_STORE_FILE: file } });
+  t.after(() => app.stop());
+
+  assert.equal(app.pairingCodes.get('WXYZ2345').status, 'expired');
+  const { entries } = await app.audit.query({ event: 'code.expired' });
+  assert.deepEqual(entries.map(e => e.sessionId), ['crashed-session']);
+  const metrics = await app.request('GET', '/metrics');
+  assert.match(metrics.body, /^pairing_codes_expired_total 1$/m);
+});
+
+test('reading the code log leaves the file alone', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'codes.jsonl');
+  const expiresAt = new Date(Date.now() + 60000);
+  const lines = [
+    JSON.stringify({ op: 'put', entry: { code: 'AAAA1111', status: 'pending', expiresAt } }),
+    JSON.stringify({ op: 'put', entry: { code: 'AAAA1111', status: 'linked', expiresAt } }),
+    JSON.stringify({ op: 'put', entry: { code: 'BBBB2222', status: 'pending', expiresAt } }),
+    JSON.stringify({ op: 'delete', code: 'BBBB2222' })
+  ].join('\n') + '\n';
+  fs.writeFileSync(file, lines);
+
+  const codes = readCodeLog(file);
+  assert.deepEqual(codes.values().map(entry => [entry.code, entry.status]), [['AAAA1111', 'linked']]);
+  assert.ok(codes.get('AAAA1111').expiresAt instanceof Date);
+  assert.equal(fs.readFileSync(file, 'utf8'), lines);
+});
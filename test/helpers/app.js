@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../../lib/config');
+const { logger } = require('../../lib/logger');
+const { createApp } = require('../../lib/app');
+const { createFakeSocketFactory } = require('./fake-socket');
+
+// ==================== TEST APP ====================
+// Runs the real service on an ephemeral port with fake sockets, a pinned
+// WhatsApp Web version (so nothing is fetched) and every file under a
+// temporary directory. TEST_LOG_LEVEL=debug shows the service's logs.
+// The proof of work is off except in test/proof-of-work.test.js.
+const TEST_ENV = {
+  CODE_STORE: 'memory',
+  POW_ENABLED: 'false',
+  TENANT_USAGE_STORE: 'memory',
+  BAILEYS_VERSION: '2.3000.1015901307',
+  SHUTDOWN_DRAIN_TIMEOUT_MS: '0',
+  RECONNECT_BASE_DELAY_MS: '100',
+  RECONNECT_MAX_DELAY_MS: '1000',
+  RATE_LIMITS: JSON.stringify({
+    ip: { windowMs: 60000, max: 1000 },
+    phone: { windowMs: 60000, max: 1000 }
+  })
+};
+
+// `env` goes through loadConfig like real environment variables; `config`
+// is merged afterwards, unvalidated, for values the schema won't accept
+// (e.g. an expiry measured in milliseconds).
+async function startTestApp({ env = {}, config: overrides = {}, pairingCode } = {}) {
+  logger.level = process.env.TEST_LOG_LEVEL || 'silent';
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pairing-test-'));
+  const config = {
+    ...loadConfig({ baseDir: dir, env: { ...TEST_ENV, ...env } }),
+    ...overrides
+  };
+  const fake = createFakeSocketFactory({ pairingCode });
+  const service = createApp({ config, makeSocket: fake.makeSocket });
+
+  const server = await new Promise((resolve) => {
+    const listening = service.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Resolves to { status, headers, body } with JSON bodies parsed; a string
+  // body is sent as-is
+  async function request(method, url, body, headers = {}) {
+    const res = await fetch(baseUrl + url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: typeof body === 'string' ? body : body ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    const isJson = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, headers: res.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  // Runs the same shutdown steps SIGTERM would, then removes the files
+  async function stop() {
+    await service.lifecycle.shutdown('test');
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { ...service, config, fake, baseUrl, dir, request, stop };
+}
+
+// Polls until `check` returns something truthy
+async function waitFor(check, { timeoutMs = 3000, intervalMs = 20, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+// POST /generate-code or /getqr and play WhatsApp's part up to the first
+// QR, which is when the service asks for a pairing code. Resolves to the
+// response and the socket that served it.
+async function requestPairing(app, url, body = { phoneNumber: '+254712345678' }, headers = {}) {
+  const index = app.fake.sockets.length;
+  const response = app.request('POST', url, body, headers);
+  const sock = await app.fake.socket(index);
+  sock.qr();
+  return { res: await response, sock };
+}
+
+const requestCode = (app, body) => requestPairing(app, '/generate-code', body);
+const requestQR = (app, body) => requestPairing(app, '/getqr', body);
+
+module.exports = { startTestApp, waitFor, requestPairing, requestCode, requestQR, TEST_ENV };
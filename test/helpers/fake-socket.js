@@ -0,0 +1,129 @@
+const { EventEmitter } = require('events');
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+
+// ==================== FAKE BAILEYS SOCKET ====================
+// An in-process stand-in for makeWASocket(): nothing touches the network,
+// and the test decides what WhatsApp "says" and when:
+//   sock.qr()              connection.update { qr }, a new QR string per call
+//   sock.updateCreds(p)    merges p into the auth creds and emits creds.update
+//   sock.open(jid)         registers the creds, then connection.update 'open'
+//   sock.close(reason)     connection.update 'close' with a Boom-shaped error
+//                          for DisconnectReason[reason] (or a status code)
+// What the service did to the socket is recorded on it: `pairingRequests`,
+// `sent`, `ended` and `loggedOut`.
+
+// Baileys closes with Boom errors; the service only reads output.statusCode
+function disconnectError(statusCode, message = `Connection closed (${statusCode})`) {
+  const error = new Error(message);
+  error.isBoom = true;
+  error.output = { statusCode, payload: { statusCode, message } };
+  return error;
+}
+
+function createFakeSocket(options, { pairingCode = 'FAKE1234' } = {}) {
+  const ev = new EventEmitter();
+  const { creds } = options.auth;
+  let qrCount = 0;
+
+  const sock = {
+    ev,
+    options,
+    user: null,
+    pairingRequests: [],
+    sent: [],
+    ended: false,
+    loggedOut: false,
+
+    // Like Baileys, a custom code is used (upper-cased) instead of its own
+    async requestPairingCode(phoneNumber, customPairingCode) {
+      sock.pairingRequests.push(phoneNumber);
+      return customPairingCode ? customPairingCode.toUpperCase() : pairingCode;
+    },
+
+    async sendMessage(jid, content) {
+      sock.sent.push({ jid, content });
+      return { key: { remoteJid: jid, fromMe: true, id: `FAKE${sock.sent.length}` } };
+    },
+
+    // Like Baileys, ending a socket reports it closed
+    end(error) {
+      if (sock.ended) return;
+      sock.ended = true;
+      ev.emit('connection.update', { connection: 'close', lastDisconnect: { error, date: new Date() } });
+    },
+
+    async logout() {
+      sock.loggedOut = true;
+      sock.end(disconnectError(DisconnectReason.loggedOut, 'Intentional Logout'));
+    },
+
+    // ==================== SCRIPTING ====================
+    qr(value = `fake-qr-${++qrCount}`) {
+      ev.emit('connection.update', { qr: value });
+    },
+
+    updateCreds(patch) {
+      Object.assign(creds, patch);
+      ev.emit('creds.update', patch);
+    },
+
+    open(jid = '254712345678:7@s.whatsapp.net') {
+      sock.updateCreds({ registered: true, me: { id: jid, name: 'Test Device' } });
+      sock.user = { id: jid };
+      ev.emit('connection.update', { connection: 'open' });
+    },
+
+    close(reason) {
+      const statusCode = typeof reason === 'number' ? reason : DisconnectReason[reason];
+      if (statusCode === undefined) throw new Error(`Unknown DisconnectReason ${reason}`);
+      sock.ended = true;
+      ev.emit('connection.update', {
+        connection: 'close',
+        lastDisconnect: { error: disconnectError(statusCode), date: new Date() }
+      });
+    }
+  };
+
+  return sock;
+}
+
+// A makeSocket replacement that keeps every socket it opened, in order.
+// socket(i) waits for the i-th one, so a test can script a socket that the
+// service only opens later (e.g. after a reconnect delay). Unless a
+// `pairingCode` is given, socket 0 hands out FAKE0000, socket 1 FAKE0001...
+// when the service doesn't supply its own code.
+function createFakeSocketFactory({ pairingCode } = {}) {
+  const sockets = [];
+  const waiters = [];
+
+  function makeSocket(options) {
+    const sock = createFakeSocket(options, {
+      pairingCode: pairingCode || `FAKE${String(sockets.length).padStart(4, '0')}`
+    });
+    sockets.push(sock);
+    for (const waiter of waiters.slice()) {
+      if (sockets[waiter.index]) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(sockets[waiter.index]);
+      }
+    }
+    return sock;
+  }
+
+  function socket(index, { timeoutMs = 5000 } = {}) {
+    if (sockets[index]) return Promise.resolve(sockets[index]);
+    return new Promise((resolve, reject) => {
+      const waiter = { index, resolve };
+      waiter.timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error(`Socket #${index} was not opened within ${timeoutMs}ms (${sockets.length} opened)`));
+      }, timeoutMs);
+      waiters.push(waiter);
+    });
+  }
+
+  return { makeSocket, sockets, socket };
+}
+
+module.exports = { createFakeSocket, createFakeSocketFactory, disconnectError };
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSessionString } = require('../lib/session-string');
+const { logger } = require('../lib/logger');
+const { startTestApp, waitFor, requestPairing, requestCode, requestQR } = require('./helpers/app');
+
+test('POST /generate-code returns the code WhatsApp issued', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  const { res, sock } = await requestCode(app, { phoneNumber: '0712345678', country: 'KE' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+  assert.match(res.body.code, /^[1-9A-HJ-NP-TV-Z]{8}$/);
+  assert.equal(res.body.displayCode, `${res.body.code.slice(0, 4)}-${res.body.code.slice(4)}`);
+  assert.equal(res.body.phoneNumber, '+254712345678');
+  assert.match(res.body.sessionId, /^IAN TECH_\d+_[0-9A-F]{6}$/);
+  assert.deepEqual(sock.pairingRequests, ['254712345678']);
+  assert.deepEqual(sock.options.version, [2, 3000, 1015901307]);
+
+  const entry = app.pairingCodes.get(res.body.code);
+  assert.equal(entry.status, 'pending');
+  assert.equal(entry.sessionId, res.body.sessionId);
+});
+
+test('POST /generate-code rejects an invalid number without opening a socket', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  const res = await app.request('POST', '/generate-code', { phoneNumber: '12' });
+
+  assert.equal(res.body.success, false);
+  assert.ok(res.body.error);
+  assert.equal(app.fake.sockets.length, 0);
+});
+
+test('POST /getqr returns the QR as an image', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  const { res, sock } = await requestQR(app);
+
+  assert.equal(res.body.success, true);
+  assert.match(res.body.qrImage, /^data:image\/png;base64,/);
+  assert.deepEqual(sock.pairingRequests, []);
+  assert.equal(app.sessions.get(res.body.sessionId).status, 'qr_ready');
+});
+
+test('a linked device is sent its session string and the session closes', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  const { res, sock } = await requestCode(app);
+  sock.open('254712345678:7@s.whatsapp.net');
+
+  await waitFor(() => sock.sent.length === 2, { message: 'session string delivery' });
+  assert.equal(sock.sent[0].jid, '254712345678@s.whatsapp.net');
+  const { prefix, files } = parseSessionString(sock.sent[0].content.text, 'IAN TECH');
+  assert.equal(prefix, 'IAN TECH');
+  assert.equal(JSON.parse(files['creds.json']).me.id, '254712345678:7@s.whatsapp.net');
+
+  await waitFor(() => !app.sessions.get(res.body.sessionId), { message: 'session to close' });
+  assert.equal(sock.ended, true);
+  assert.equal(sock.loggedOut, false);
+  assert.equal(app.pairingCodes.get(res.body.code).status, 'linked');
+});
+
+test('pairing requests over the per-number limit get 429 with Retry-After', async (t) => {
+  const app = await startTestApp({
+    env: { RATE_LIMITS: JSON.stringify({ phone: { windowMs: 60000, max: 1 } }) }
+  });
+  t.after(() => app.stop());
+
+  await requestCode(app);
+  const res = await app.request('POST', '/generate-code', { phoneNumber: '+254712345678' });
+
+  assert.equal(res.status, 429);
+  assert.equal(res.body.success, false);
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+  assert.equal(app.fake.sockets.length, 1);
+});
+
+test('X-Forwarded-For is ignored unless TRUST_PROXY says a proxy sets it', async (t) => {
+  const limits = { RATE_LIMITS: JSON.stringify({ ip: { windowMs: 60000, max: 1 } }) };
+  const direct = await startTestApp({ env: limits });
+  t.after(() => direct.stop());
+
+  await requestCode(direct);
+  const warn = t.mock.method(logger, 'warn');
+  const spoofed = await direct.request('POST', '/generate-code', { phoneNumber: '+254722000111' }, { 'X-Forwarded-For': '198.51.100.7' });
+  assert.equal(spoofed.status, 429);
+  await direct.request('GET', '/health', null, { 'X-Forwarded-For': '198.51.100.7' });
+  const proxyWarnings = warn.mock.calls.filter(call => /TRUST_PROXY is 0/.test(call.arguments[0]));
+  assert.equal(proxyWarnings.length, 1);
+
+  const proxied = await startTestApp({ env: { ...limits, TRUST_PROXY: '1' } });
+  t.after(() => proxied.stop());
+
+  await requestCode(proxied);
+  const forwarded = await requestPairing(proxied, '/generate-code', { phoneNumber: '+254722000111' }, { 'X-Forwarded-For': '198.51.100.7' });
+  assert.equal(forwarded.res.body.success, true);
+});
+
+test('pairing requests beyond MAX_SESSIONS are turned away', async (t) => {
+  const app = await startTestApp({ env: { MAX_SESSIONS: '1' } });
+  t.after(() => app.stop());
+
+  await requestCode(app);
+  const res = await app.request('POST', '/getqr', { phoneNumber: '+254722000111' });
+
+  assert.equal(res.body.success, false);
+  assert.match(res.body.message, /busy/);
+  assert.equal(app.fake.sockets.length, 1);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PhoneNumber = require('../lib/phone-number');
+
+test('international numbers are read by their calling code', () => {
+  const kenyan = PhoneNumber.parse('+254 723 278 526');
+  assert.equal(kenyan.country, 'KE');
+  assert.equal(kenyan.e164, '+254723278526');
+  assert.equal(PhoneNumber.parse('00447911123456').country, 'GB');
+  assert.equal(PhoneNumber.parse('+2547232785').error.code, 'TOO_SHORT');
+});
+
+test('+1 numbers get no country, since the US and Canada share it', () => {
+  const toronto = PhoneNumber.parse('+1 416 555 0123');
+  assert.equal(toronto.valid, true);
+  assert.equal(toronto.country, null);
+  assert.equal(toronto.callingCode, '1');
+  assert.equal(toronto.e164, '+14165550123');
+  assert.match(PhoneNumber.parse('+1 416 555').error.message, /United States \/ Canada/);
+
+  // The selected country still applies to a local number
+  assert.equal(PhoneNumber.parse('416 555 0123', 'CA').country, 'CA');
+});
+
+test('numbers under a calling code we don\'t know are refused', () => {
+  const result = PhoneNumber.parse('+999 123 456 789');
+  assert.equal(result.valid, false);
+  assert.equal(result.error.code, 'UNKNOWN_CALLING_CODE');
+});
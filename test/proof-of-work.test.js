@@ -0,0 +1,148 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestApp, requestCode, requestQR } = require('./helpers/app');
+const { createChallengeIssuer } = require('../lib/proof-of-work');
+const { loadConfig } = require('../lib/config');
+const solver = require('../lib/pow-solver');
+
+const POW_ENV = { POW_ENABLED: 'true', POW_DIFFICULTY: '8', POW_MAX_DIFFICULTY: '12' };
+
+async function solvedChallenge(app) {
+  const { body } = await app.request('GET', '/challenge');
+  return { challenge: body.challenge, solution: solver.solve(body.challenge, body.difficulty).solution };
+}
+
+function verifyError(issuer, proof) {
+  try {
+    issuer.verify(proof);
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+}
+
+test('the browser solver hashes exactly like node', () => {
+  for (const text of ['', 'abc', 'a'.repeat(55), 'a'.repeat(56), 'a'.repeat(64), `${'x'.repeat(90)}:123`]) {
+    assert.equal(solver.sha256Hex(text), crypto.createHash('sha256').update(text).digest('hex'), `length ${text.length}`);
+  }
+  assert.equal(solver.leadingZeroBits(Buffer.from([0, 0x10, 0xff])), 11);
+  assert.equal(solver.leadingZeroBits([0, 1]), 63);
+});
+
+test('a solved challenge is accepted once', () => {
+  const issuer = createChallengeIssuer({ difficulty: 8 });
+  const { challenge, difficulty } = issuer.issue();
+  assert.equal(difficulty, 8);
+
+  const { solution } = solver.solve(challenge, difficulty);
+  assert.deepEqual(issuer.verify({ challenge, solution }), { difficulty: 8 });
+  assert.equal(verifyError(issuer, { challenge, solution }), 'CHALLENGE_USED');
+});
+
+test('missing, forged, expired and unsolved challenges are refused', () => {
+  let time = Date.now();
+  const issuer = createChallengeIssuer({ difficulty: 8, ttlMs: 1000, now: () => time });
+  const { challenge } = issuer.issue();
+  const { solution } = solver.solve(challenge, 8);
+
+  assert.equal(verifyError(issuer, {}), 'CHALLENGE_REQUIRED');
+  assert.equal(verifyError(issuer, { challenge }), 'CHALLENGE_REQUIRED');
+
+  // Lowering the difficulty invalidates the signature
+  const [nonce, , expiresAt, signature] = challenge.split('.');
+  assert.equal(verifyError(issuer, { challenge: `${nonce}.1.${expiresAt}.${signature}`, solution: '0' }), 'CHALLENGE_INVALID');
+  const other = createChallengeIssuer({ difficulty: 8 }).issue().challenge;
+  assert.equal(verifyError(issuer, { challenge: other, solution: '0' }), 'CHALLENGE_INVALID');
+
+  let wrong = 0;
+  while (solver.leadingZeroBits(crypto.createHash('sha256').update(`${challenge}:${wrong}`).digest()) >= 8) wrong++;
+  assert.equal(verifyError(issuer, { challenge, solution: String(wrong) }), 'CHALLENGE_UNSOLVED');
+  assert.equal(verifyError(issuer, { challenge, solution: `${solution}.0` }), 'CHALLENGE_UNSOLVED');
+
+  time += 1000;
+  assert.equal(verifyError(issuer, { challenge, solution }), 'CHALLENGE_EXPIRED');
+});
+
+test('difficulty follows the request rate and is checked again when a challenge is used', () => {
+  let time = Date.now();
+  const issuer = createChallengeIssuer({ difficulty: 4, maxDifficulty: 6, targetPerMinute: 2, now: () => time });
+  const solved = () => {
+    const { challenge, difficulty } = issuer.issue();
+    return { challenge, solution: solver.solve(challenge, difficulty).solution };
+  };
+
+  // Solved while it was quiet, to be spent in a burst
+  const stockpile = [solved(), solved()];
+
+  issuer.verify(solved());
+  issuer.verify(solved());
+  assert.equal(issuer.currentDifficulty(), 4);
+  // Unsolved requests count too
+  assert.equal(verifyError(issuer, {}), 'CHALLENGE_REQUIRED');
+  assert.equal(issuer.currentDifficulty(), 5);
+  assert.equal(verifyError(issuer, stockpile[0]), 'CHALLENGE_TOO_EASY');
+  for (let i = 0; i < 4; i++) verifyError(issuer, {});
+  assert.equal(issuer.status().requestsLastMinute, 8);
+  assert.equal(issuer.currentDifficulty(), 6);
+  for (let i = 0; i < 10; i++) verifyError(issuer, {});
+  assert.equal(issuer.currentDifficulty(), 6, 'capped at maxDifficulty');
+
+  // Fetching challenges doesn't count
+  for (let i = 0; i < 50; i++) issuer.issue();
+  time += 60 * 1000;
+  assert.equal(issuer.currentDifficulty(), 4);
+  assert.deepEqual(issuer.verify(stockpile[1]), { difficulty: 4 });
+});
+
+test('the page routes need a solved challenge; /api/v1 does not', async (t) => {
+  const apiKey = 'crm-api-key-0123456789abcdef';
+  const app = await startTestApp({ env: { ...POW_ENV, API_KEYS: JSON.stringify([{ name: 'crm', key: apiKey }]) } });
+  t.after(() => app.stop());
+
+  const issued = await app.request('GET', '/challenge');
+  assert.equal(issued.headers.get('cache-control'), 'no-store');
+  assert.equal(issued.body.algorithm, 'sha256');
+  assert.equal(issued.body.difficulty, 8);
+
+  const unsolved = await app.request('POST', '/generate-code', { phoneNumber: '+254712345678' });
+  assert.equal(unsolved.status, 403);
+  assert.equal(unsolved.body.success, false);
+  assert.equal(unsolved.body.code, 'CHALLENGE_REQUIRED');
+  assert.equal(app.fake.sockets.length, 0);
+
+  const proof = await solvedChallenge(app);
+  const { res } = await requestCode(app, { phoneNumber: '+254712345678', ...proof });
+  assert.equal(res.body.success, true);
+  const replayed = await app.request('POST', '/getqr', { phoneNumber: '+254722000111', ...proof });
+  assert.equal(replayed.body.code, 'CHALLENGE_USED');
+
+  const qr = await requestQR(app, { phoneNumber: '+254722000111', ...(await solvedChallenge(app)) });
+  assert.equal(qr.res.body.success, true);
+
+  const viaApi = app.request('POST', '/api/v1/pairings', { phoneNumber: '+254733000222' }, { Authorization: `Bearer ${apiKey}` });
+  (await app.fake.socket(2)).qr();
+  assert.equal((await viaApi).status, 201);
+
+  const { entries } = await app.audit.query({ event: 'code.generated' });
+  assert.deepEqual(entries.map(entry => entry.outcome), ['challenge_required', 'success', 'success']);
+  assert.equal((await app.request('GET', '/health')).body.proofOfWork.requestsLastMinute, 4);
+});
+
+test('the worker script is served and the challenge can be switched off', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  const script = await app.request('GET', '/js/pow-worker.js');
+  assert.match(script.headers.get('content-type'), /javascript/);
+  assert.match(script.body, /onmessage/);
+
+  const { body } = await app.request('GET', '/challenge');
+  assert.deepEqual(body, { success: true, challenge: null });
+  assert.equal((await requestCode(app)).res.body.success, true);
+
+  assert.throws(
+    () => loadConfig({ baseDir: __dirname, env: { POW_DIFFICULTY: '20', POW_MAX_DIFFICULTY: '16' } }),
+    /POW_MAX_DIFFICULTY \(16\) must not be below POW_DIFFICULTY \(20\)/
+  );
+});
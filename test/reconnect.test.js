@@ -0,0 +1,202 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+const { startTestApp, waitFor, requestCode } = require('./helpers/app');
+const { createCircuitBreaker } = require('../lib/reconnect');
+
+// What the service does with a socket closed for each DisconnectReason
+// once a code has been issued (see lib/reconnect.js)
+const EXPECTED = {
+  restartRequired: 'restart',
+  connectionClosed: 'reconnect',
+  connectionLost: 'reconnect',
+  timedOut: 'reconnect',
+  unavailableService: 'reconnect',
+  badSession: 'wipe',
+  loggedOut: 'logged_out',
+  connectionReplaced: 'fail',
+  multideviceMismatch: 'fail',
+  forbidden: 'fail'
+};
+
+function closedReason(app, sessionId) {
+  return new Promise((resolve) => {
+    app.sessions.on('closed', (session, reason) => {
+      if (session.id === sessionId) resolve(reason);
+    });
+  });
+}
+
+for (const [reason, outcome] of Object.entries(EXPECTED)) {
+  test(`a socket closed with ${reason} (${DisconnectReason[reason]}) is handled as ${outcome}`, async (t) => {
+    const app = await startTestApp();
+    t.after(() => app.stop());
+
+    const { res, sock } = await requestCode(app);
+    const { sessionId } = res.body;
+    const closed = closedReason(app, sessionId);
+    sock.close(reason);
+
+    switch (outcome) {
+      case 'restart': {
+        const next = await app.fake.socket(1);
+        assert.equal(app.sessions.get(sessionId).reconnectAttempts, 0);
+        next.qr();
+        assert.deepEqual(next.pairingRequests, [], 'the issued code stays valid');
+        break;
+      }
+
+      case 'reconnect': {
+        const [waiting] = app.sessions.connectionStatus().reconnecting;
+        assert.equal(waiting.attempt, 1);
+        assert.equal(app.sessions.get(sessionId).lastDisconnect.statusCode, DisconnectReason[reason]);
+        await app.fake.socket(1);
+        assert.equal(app.sessions.get(sessionId).nextRetryAt, null);
+        assert.equal(app.pairingCodes.get(res.body.code).status, 'pending');
+        break;
+      }
+
+      case 'wipe': {
+        const next = await app.fake.socket(1);
+        assert.equal(next.options.auth.creds.registered, false);
+        next.qr();
+        await waitFor(() => next.pairingRequests.length === 1, { message: 'a new code request' });
+        break;
+      }
+
+      case 'logged_out':
+        assert.equal(await closed, 'logged_out');
+        assert.equal(app.pairingCodes.get(res.body.code).status, 'expired');
+        break;
+
+      case 'fail':
+        assert.equal(await closed, 'error');
+        assert.equal(app.pairingCodes.get(res.body.code).status, 'expired');
+        break;
+    }
+
+    if (outcome === 'logged_out' || outcome === 'fail') {
+      assert.equal(app.sessions.get(sessionId), null);
+      await new Promise(resolve => setTimeout(resolve, 200));
+      assert.equal(app.fake.sockets.length, 1, 'no new socket is opened');
+    }
+  });
+}
+
+test('creds saved before a restart are used by the next socket', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  const { res, sock } = await requestCode(app);
+  const me = { id: '254712345678:7@s.whatsapp.net', name: 'Test Device' };
+  sock.updateCreds({ registered: true, me });
+
+  const credsFile = path.join(app.config.SESSIONS_DIR, encodeURIComponent(res.body.sessionId), 'creds.json');
+  await waitFor(() => fs.existsSync(credsFile) && JSON.parse(fs.readFileSync(credsFile, 'utf8')).registered, {
+    message: 'creds to be saved'
+  });
+  sock.close('restartRequired');
+
+  const next = await app.fake.socket(1);
+  assert.deepEqual(next.options.auth.creds.me, me);
+  next.open(me.id);
+  await waitFor(() => next.sent.length === 2, { message: 'session string delivery' });
+});
+
+test('a link is counted once when the socket reconnects before delivery', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  const { res, sock } = await requestCode(app);
+  sock.sendMessage = async () => { throw new Error('Connection Closed'); };
+  sock.open();
+  await waitFor(() => app.sessions.get(res.body.sessionId).status === 'linked', { message: 'link' });
+  sock.close('restartRequired');
+
+  const next = await app.fake.socket(1);
+  next.open();
+  await waitFor(() => next.sent.length === 2, { message: 'session string delivery' });
+
+  const metrics = await app.request('GET', '/metrics');
+  assert.match(metrics.body, /^pairing_linked_total\{mode="code"\} 1$/m);
+  assert.match(metrics.body, /^pairing_time_to_link_seconds_count\{mode="code"\} 1$/m);
+});
+
+test('GET /status lists a session waiting to reconnect', async (t) => {
+  const app = await startTestApp({ env: { RECONNECT_BASE_DELAY_MS: '5000', RECONNECT_MAX_DELAY_MS: '10000' } });
+  t.after(() => app.stop());
+
+  const { sock } = await requestCode(app);
+  sock.close('connectionLost');
+  const res = await app.request('GET', '/status');
+
+  assert.equal(res.body.connection.lastDisconnect.statusCode, DisconnectReason.connectionLost);
+  assert.equal(res.body.connection.reconnecting.length, 1);
+  assert.equal(res.body.connection.reconnecting[0].attempt, 1);
+  assert.ok(new Date(res.body.connection.reconnecting[0].nextRetryAt) > new Date());
+});
+
+test('a session gives up after RECONNECT_MAX_ATTEMPTS', async (t) => {
+  const app = await startTestApp({ env: { RECONNECT_MAX_ATTEMPTS: '1' } });
+  t.after(() => app.stop());
+
+  const { res, sock } = await requestCode(app);
+  const closed = closedReason(app, res.body.sessionId);
+  sock.close('connectionLost');
+  (await app.fake.socket(1)).close('connectionLost');
+
+  assert.equal(await closed, 'error');
+  assert.equal(app.fake.sockets.length, 2);
+});
+
+test('a session gives up when WhatsApp keeps asking for restarts', async (t) => {
+  const app = await startTestApp({ env: { RECONNECT_MAX_RESTARTS: '2' } });
+  t.after(() => app.stop());
+
+  const { res, sock } = await requestCode(app);
+  const closed = closedReason(app, res.body.sessionId);
+  sock.close('restartRequired');
+  (await app.fake.socket(1)).close('restartRequired');
+  (await app.fake.socket(2)).close('restartRequired');
+
+  assert.equal(await closed, 'error');
+  assert.equal(app.fake.sockets.length, 3);
+});
+
+test('a half-open circuit lets one trial attempt through', async () => {
+  const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 50 });
+  breaker.recordFailure('connectionLost');
+  assert.equal(breaker.allow(), false);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(breaker.status().state, 'half_open');
+  assert.equal(breaker.allow(), true);
+  assert.equal(breaker.allow(), false, 'the trial is still out');
+
+  // A trial that never reports back is written off after a cooldown
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(breaker.allow(), true);
+  breaker.recordSuccess();
+  assert.equal(breaker.allow(), true);
+  assert.equal(breaker.allow(), true);
+});
+
+test('an open circuit breaker pauses new pairings', async (t) => {
+  const app = await startTestApp({ env: { CIRCUIT_BREAKER_THRESHOLD: '1' } });
+  t.after(() => app.stop());
+
+  const { sock } = await requestCode(app);
+  sock.close('connectionLost');
+
+  const status = await app.request('GET', '/status');
+  assert.equal(status.body.bot, 'unavailable');
+  assert.equal(status.body.connection.circuit.state, 'open');
+
+  const res = await app.request('POST', '/generate-code', { phoneNumber: '+254722000111' });
+  assert.equal(res.body.success, false);
+  assert.ok(res.body.retryAfter > 0);
+  assert.equal(res.headers.get('retry-after'), String(res.body.retryAfter));
+  assert.equal(app.fake.sockets.length, 1);
+});
@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { initAuthCreds, BufferJSON } = require('@whiskeysockets/baileys');
+const { encodeSessionString } = require('../lib/session-string');
+const { inspectSessionString } = require('../lib/session-check');
+const { startTestApp } = require('./helpers/app');
+const solver = require('../lib/pow-solver');
+
+const JID = '254712345678:7@s.whatsapp.net';
+
+function sessionString({ me = { id: JID, name: 'Test Device' }, prefix = 'IAN TECH' } = {}) {
+  const creds = { ...initAuthCreds(), registered: Boolean(me), me };
+  return encodeSessionString({ 'creds.json': JSON.stringify(creds, BufferJSON.replacer) }, prefix);
+}
+
+test('inspectSessionString sorts strings into valid, corrupted and unknown_format', () => {
+  const valid = sessionString();
+  assert.equal(inspectSessionString(valid, 'IAN TECH').status, 'valid');
+  assert.equal(inspectSessionString(valid, 'IAN TECH').account.jid, JID);
+
+  const tampered = valid.slice(0, -1) + (valid.endsWith('0') ? '1' : '0');
+  assert.equal(inspectSessionString(tampered, 'IAN TECH').status, 'corrupted');
+  assert.equal(inspectSessionString(sessionString({ me: null }), 'IAN TECH').status, 'corrupted');
+
+  assert.equal(inspectSessionString(sessionString({ prefix: 'OTHER' }), 'IAN TECH').status, 'unknown_format');
+  assert.equal(inspectSessionString('hello world', 'IAN TECH').status, 'unknown_format');
+});
+
+test('POST /check-session checks a string offline by default', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  const res = await app.request('POST', '/check-session', { sessionString: sessionString() });
+
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.status, 'valid');
+  assert.equal(res.body.account.jid, JID);
+  assert.equal(res.body.live, null);
+  assert.equal(app.fake.sockets.length, 0);
+});
+
+test('POST /check-session without a string is refused', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  const res = await app.request('POST', '/check-session', {});
+
+  assert.equal(res.body.success, false);
+});
+
+// How the live check reads what WhatsApp does with the restored creds
+const LIVE = [
+  ['the socket opens', sock => sock.open(JID), 'valid', 'connected'],
+  ['WhatsApp logged the device out', sock => sock.close('loggedOut'), 'logged_out', 'logged_out'],
+  ['WhatsApp rejects the creds', sock => sock.close('badSession'), 'corrupted', 'rejected'],
+  ['the connection just drops', sock => sock.close('connectionLost'), 'valid', 'inconclusive']
+];
+
+for (const [when, script, status, outcome] of LIVE) {
+  test(`a live check reports ${status} when ${when}`, async (t) => {
+    const app = await startTestApp();
+    t.after(() => app.stop());
+
+    const response = app.request('POST', '/check-session', { sessionString: sessionString(), live: true });
+    const sock = await app.fake.socket(0);
+    assert.equal(sock.options.auth.creds.me.id, JID);
+    script(sock);
+    const res = await response;
+
+    assert.equal(res.body.status, status);
+    assert.equal(res.body.live.outcome, outcome);
+    assert.equal(res.body.live.checked, outcome !== 'inconclusive');
+    assert.equal(res.body.account.jid, JID);
+    assert.equal(sock.ended, true);
+    assert.equal(app.sessions.count(), 0);
+  });
+}
+
+test('a live check only logs in, and only SESSION_CHECK_MAX_LIVE run at once', async (t) => {
+  const app = await startTestApp({
+    env: { SESSION_CHECK_MAX_LIVE: '1' },
+    config: { SOCKET_OPTIONS: { markOnlineOnConnect: true, syncFullHistory: true } }
+  });
+  t.after(() => app.stop());
+
+  const first = app.request('POST', '/check-session', { sessionString: sessionString(), live: true });
+  const sock = await app.fake.socket(0);
+  assert.equal(sock.options.markOnlineOnConnect, false);
+  assert.equal(sock.options.syncFullHistory, false);
+  assert.equal(sock.options.fireInitQueries, false);
+  assert.equal(sock.ev.listenerCount('messages.upsert'), 0);
+
+  const busy = await app.request('POST', '/check-session', { sessionString: sessionString(), live: true });
+  assert.equal(busy.body.success, false);
+  assert.match(busy.body.message, /Too many session checks/);
+  const offline = await app.request('POST', '/check-session', { sessionString: sessionString() });
+  assert.equal(offline.body.status, 'valid');
+  assert.equal(app.fake.sockets.length, 1);
+
+  sock.open(JID);
+  assert.equal((await first).body.live.outcome, 'connected');
+  const next = app.request('POST', '/check-session', { sessionString: sessionString(), live: true });
+  (await app.fake.socket(1)).open(JID);
+  assert.equal((await next).body.live.outcome, 'connected');
+});
+
+test('POST /check-session needs a solved challenge while the proof of work is on', async (t) => {
+  const app = await startTestApp({ env: { POW_ENABLED: 'true', POW_DIFFICULTY: '8' } });
+  t.after(() => app.stop());
+
+  const unsolved = await app.request('POST', '/check-session', { sessionString: sessionString(), live: true });
+  assert.equal(unsolved.status, 403);
+  assert.equal(unsolved.body.code, 'CHALLENGE_REQUIRED');
+  assert.equal(app.fake.sockets.length, 0);
+
+  const { body } = await app.request('GET', '/challenge');
+  const proof = { challenge: body.challenge, solution: solver.solve(body.challenge, body.difficulty).solution };
+  const res = await app.request('POST', '/check-session', { sessionString: sessionString(), ...proof });
+  assert.equal(res.body.status, 'valid');
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { initAuthCreds, BufferJSON } = require('@whiskeysockets/baileys');
+const { encodeSessionString, parseSessionString } = require('../lib/session-string');
+
+const json = value => JSON.stringify(value, BufferJSON.replacer);
+const keyPair = () => ({ public: crypto.randomBytes(32), private: crypto.randomBytes(32) });
+
+// Roughly what a multi-file auth state holds once a linked account has
+// synced: the docs a restore needs plus Signal sessions, sender keys and app
+// state versions for every chat and group
+function syncedAuthState() {
+  const files = {
+    'creds.json': json({ ...initAuthCreds(), registered: true, me: { id: '254712345678:7@s.whatsapp.net' } }),
+    'app-state-sync-key-AAAAAEuj.json': json({ keyData: crypto.randomBytes(32), timestamp: Date.now() })
+  };
+  for (let id = 1; id <= 30; id++) files[`pre-key-${id}.json`] = json({ keyPair: keyPair() });
+  for (let i = 0; i < 200; i++) {
+    files[`session-2547${String(i).padStart(8, '0')}.0.json`] = json({ chain: crypto.randomBytes(512), keyPair: keyPair() });
+  }
+  for (let i = 0; i < 50; i++) {
+    files[`sender-key-1203630${i}@g.us--2547${i}--0.json`] = json({ chainKey: crypto.randomBytes(32), signatureKey: keyPair() });
+  }
+  for (const name of ['critical_block', 'critical_unblock_low', 'regular', 'regular_high', 'regular_low']) {
+    files[`app-state-sync-version-${name}.json`] = json({ version: 40, hash: crypto.randomBytes(128), macs: crypto.randomBytes(4096) });
+  }
+  return files;
+}
+
+test('a session string carries only the documents a restore needs', () => {
+  const files = syncedAuthState();
+  const sessionString = encodeSessionString(files, 'IAN TECH');
+
+  const { files: exported } = parseSessionString(sessionString, 'IAN TECH');
+  const expected = Object.keys(files).filter(name => /^(creds|pre-key-\d+|app-state-sync-key-\w+)\.json$/.test(name));
+  assert.deepEqual(Object.keys(exported).sort(), expected.sort());
+  assert.equal(exported['creds.json'], files['creds.json']);
+
+  // Small enough to send as one WhatsApp message and paste into a bot's env
+  assert.ok(sessionString.length < 8 * 1024, `${sessionString.length} characters`);
+});
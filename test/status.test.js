@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestApp, waitFor, requestQR } = require('./helpers/app');
+
+test('GET /status reports an idle service', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  const res = await app.request('GET', '/status');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.bot, 'online');
+  assert.equal(res.body.hasQR, false);
+  assert.equal(res.body.sessions, 0);
+  assert.equal(res.body.pairingCodes, 0);
+  assert.equal(res.body.connection.circuit.state, 'closed');
+  assert.deepEqual(res.body.connection.reconnecting, []);
+});
+
+test('GET /status counts sessions and reports busy at MAX_SESSIONS', async (t) => {
+  const app = await startTestApp({ env: { MAX_SESSIONS: '1' } });
+  t.after(() => app.stop());
+
+  await requestQR(app);
+  const res = await app.request('GET', '/status');
+
+  assert.equal(res.body.bot, 'busy');
+  assert.equal(res.body.hasQR, true);
+  assert.equal(res.body.sessions, 1);
+  assert.equal(res.body.maxSessions, 1);
+});
+
+test('GET /health reports the pinned WhatsApp Web version', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  await requestQR(app);
+  const res = await app.request('GET', '/health');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'running');
+  assert.equal(res.body.sessions, 1);
+  assert.equal(res.body.baileysVersion.version, '2.3000.1015901307');
+  assert.equal(res.body.baileysVersion.source, 'pinned');
+});
+
+test('while draining, /health answers 503 and new pairings are refused', async (t) => {
+  const app = await startTestApp({ env: { SHUTDOWN_DRAIN_TIMEOUT_MS: '5000' } });
+  t.after(() => app.stop());
+
+  const { res: paired } = await requestQR(app);
+  const shutdown = app.lifecycle.shutdown('SIGTERM');
+
+  const health = await app.request('GET', '/health');
+  assert.equal(health.status, 503);
+  assert.equal(health.body.status, 'draining');
+
+  const refused = await app.request('POST', '/generate-code', { phoneNumber: '+254712345678' });
+  assert.equal(refused.status, 503);
+  assert.equal(refused.headers.get('retry-after'), '5');
+  assert.equal(app.fake.sockets.length, 1);
+
+  // The in-flight pairing finishing lets the drain complete early
+  app.sessions.destroy(paired.body.sessionId, 'delivered');
+  await shutdown;
+  await waitFor(() => app.lifecycle.state() === 'stopping', { message: 'shutdown' });
+});
+
+test('shutdown leaves no auth state behind for unfinished pairings', async (t) => {
+  const app = await startTestApp();
+  t.after(() => app.stop());
+
+  const { res, sock } = await requestQR(app);
+  sock.updateCreds({ pairingCode: 'ABCD2345' });
+  const sessionDir = path.join(app.config.SESSIONS_DIR, encodeURIComponent(res.body.sessionId));
+  await waitFor(() => fs.existsSync(sessionDir), { message: 'auth state on disk' });
+
+  await app.lifecycle.shutdown('SIGTERM');
+  assert.equal(fs.existsSync(sessionDir), false);
+});
@@ -0,0 +1,170 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, waitFor, requestPairing, requestCode } = require('./helpers/app');
+const { parseSessionString } = require('../lib/session-string');
+const { loadConfig } = require('../lib/config');
+
+const ACME_KEY = 'acme-api-key-0123456789abcdef';
+const OPERATOR_KEY = 'operator-key-0123456789abcdef';
+
+// As behind Replit's proxy, so X-Forwarded-Host picks the tenant
+const TENANT_ENV = {
+  TRUST_PROXY: '1',
+  TENANTS: JSON.stringify([
+    {
+      id: 'acme',
+      name: 'ACME BOTS',
+      hosts: ['pair.acme.test'],
+      theme: { primaryColor: '#FF6600' },
+      dailyQuota: 2
+    },
+    { id: 'globex', name: 'Globex', sessionPrefix: 'GLOBEX' }
+  ]),
+  API_KEYS: JSON.stringify([
+    { name: 'acme', key: ACME_KEY, tenant: 'acme' },
+    { name: 'operator', key: OPERATOR_KEY }
+  ])
+};
+
+const startTenantApp = (env = {}) => startTestApp({ env: { ...TENANT_ENV, ...env } });
+const bearer = key => ({ Authorization: `Bearer ${key}` });
+
+test('each tenant gets its own branded page by path, host or subdomain', async (t) => {
+  const app = await startTenantApp();
+  t.after(() => app.stop());
+
+  const byPath = await app.request('GET', '/t/acme/');
+  assert.equal(byPath.status, 200);
+  assert.match(byPath.body, /<h1>ACME BOTS<\/h1>/);
+  assert.match(byPath.body, /--primary-color: #FF6600;/);
+  assert.match(byPath.body, /data-base-path="\/t\/acme"/);
+  // Unset branding falls back to the top-level settings
+  assert.match(byPath.body, /--secondary-color: #128C7E;/);
+
+  const byHost = await app.request('GET', '/', null, { 'X-Forwarded-Host': 'pair.acme.test' });
+  assert.match(byHost.body, /<h1>ACME BOTS<\/h1>/);
+  const bySubdomain = await app.request('GET', '/', null, { 'X-Forwarded-Host': 'globex.pairing.test' });
+  assert.match(bySubdomain.body, /<h1>Globex<\/h1>/);
+
+  const operator = await app.request('GET', '/');
+  assert.match(operator.body, /<h1>IAN TECH<\/h1>/);
+  assert.match(operator.body, /data-base-path=""/);
+
+  const unknown = await app.request('GET', '/t/initech/');
+  assert.equal(unknown.status, 404);
+  const malformed = await app.request('GET', '/t/%zz/status');
+  assert.equal(malformed.status, 404);
+  assert.equal(malformed.body.message, 'Unknown tenant');
+});
+
+test('session strings carry the tenant\'s prefix', async (t) => {
+  const app = await startTenantApp();
+  t.after(() => app.stop());
+
+  const { res, sock } = await requestPairing(app, '/t/globex/generate-code');
+  assert.equal(res.body.success, true);
+  assert.match(res.body.sessionId, /^GLOBEX_/);
+
+  sock.open('254712345678:7@s.whatsapp.net');
+  await waitFor(() => sock.sent.length === 2, { message: 'session string delivery' });
+  assert.equal(parseSessionString(sock.sent[0].content.text, 'GLOBEX').prefix, 'GLOBEX');
+  assert.match(sock.sent[1].content.text, /^✅ Globex pairing complete/);
+
+  const check = await app.request('POST', '/t/globex/check-session', { sessionString: sock.sent[0].content.text });
+  assert.equal(check.body.status, 'valid');
+  const elsewhere = await app.request('POST', '/check-session', { sessionString: sock.sent[0].content.text });
+  assert.equal(elsewhere.body.status, 'unknown_format');
+});
+
+test('tenants only see their own sessions, codes and event streams', async (t) => {
+  const app = await startTenantApp();
+  t.after(() => app.stop());
+
+  const acme = await requestPairing(app, '/t/acme/generate-code');
+  const operator = await requestCode(app);
+  const acmeId = acme.res.body.sessionId;
+  assert.equal(app.pairingCodes.get(acme.res.body.code).tenant, 'acme');
+
+  const acmeStatus = await app.request('GET', '/t/acme/status');
+  assert.equal(acmeStatus.body.sessions, 1);
+  assert.equal(acmeStatus.body.pairingCodes, 1);
+  assert.equal(acmeStatus.body.company, 'ACME BOTS');
+  const globexStatus = await app.request('GET', '/t/globex/status');
+  assert.equal(globexStatus.body.sessions, 0);
+
+  const foreignEvents = await app.request('GET', `/events/${encodeURIComponent(acmeId)}`);
+  assert.equal(foreignEvents.status, 404);
+
+  // The acme key works on plain /api/v1 and acts for acme there
+  const list = await app.request('GET', '/api/v1/sessions', null, bearer(ACME_KEY));
+  assert.deepEqual(list.body.sessions.map(session => session.id), [acmeId]);
+  const pairing = await app.request('GET', `/api/v1/pairings/${encodeURIComponent(acmeId)}`, null, bearer(ACME_KEY));
+  assert.equal(pairing.body.pairing.links.events, `/t/acme/events/${encodeURIComponent(acmeId)}`);
+  const foreign = await app.request('GET', `/api/v1/pairings/${encodeURIComponent(operator.res.body.sessionId)}`, null, bearer(ACME_KEY));
+  assert.equal(foreign.status, 404);
+  const cancel = await app.request('DELETE', `/api/v1/pairings/${encodeURIComponent(operator.res.body.sessionId)}`, null, bearer(ACME_KEY));
+  assert.equal(cancel.status, 404);
+  assert.ok(app.sessions.get(operator.res.body.sessionId));
+
+  // ...but not on another tenant's path
+  const wrongTenant = await app.request('GET', '/t/globex/api/v1/sessions', null, bearer(ACME_KEY));
+  assert.equal(wrongTenant.status, 401);
+
+  // Keys without a tenant act for the tenant the request addresses
+  const operatorView = await app.request('GET', '/t/acme/api/v1/sessions', null, bearer(OPERATOR_KEY));
+  assert.deepEqual(operatorView.body.sessions.map(session => session.id), [acmeId]);
+});
+
+test('daily quotas refuse pairings over the limit and usage shows in /status', async (t) => {
+  const app = await startTenantApp();
+  t.after(() => app.stop());
+
+  const first = await requestPairing(app, '/t/acme/generate-code');
+  first.sock.open('254712345678:7@s.whatsapp.net');
+  await waitFor(() => !app.sessions.get(first.res.body.sessionId), { message: 'delivery' });
+  await requestPairing(app, '/t/acme/generate-code', { phoneNumber: '+254722000111' });
+
+  const page = await app.request('POST', '/t/acme/generate-code', { phoneNumber: '+254733000222' });
+  assert.equal(page.status, 429);
+  assert.equal(page.body.success, false);
+  assert.ok(Number(page.headers.get('retry-after')) <= 24 * 60 * 60);
+
+  const api = await app.request('POST', '/api/v1/pairings', { phoneNumber: '+254733000222' }, bearer(ACME_KEY));
+  assert.equal(api.status, 429);
+  assert.equal(api.body.error.code, 'QUOTA_EXCEEDED');
+  assert.equal(app.fake.sockets.length, 2);
+
+  const { usage } = (await app.request('GET', '/t/acme/status')).body;
+  assert.equal(usage.date, new Date().toISOString().slice(0, 10));
+  assert.deepEqual(
+    { pairings: usage.pairings, linked: usage.linked, refused: usage.refused, quota: usage.quota, remaining: usage.remaining },
+    { pairings: 2, linked: 1, refused: 2, quota: 2, remaining: 0 }
+  );
+
+  // Other tenants are unaffected
+  const operator = await requestCode(app, { phoneNumber: '+254733000222' });
+  assert.equal(operator.res.body.success, true);
+  assert.equal((await app.request('GET', '/status')).body.usage.quota, null);
+});
+
+test('pairings refused for capacity are not counted against the quota', async (t) => {
+  const app = await startTenantApp({ MAX_SESSIONS: '1' });
+  t.after(() => app.stop());
+
+  await requestCode(app);
+  const busy = await app.request('POST', '/t/acme/generate-code', { phoneNumber: '+254722000111' });
+  assert.equal(busy.body.success, false);
+  assert.equal((await app.request('GET', '/t/acme/status')).body.usage.pairings, 0);
+});
+
+test('tenant settings are validated', () => {
+  const load = env => loadConfig({ baseDir: __dirname, env });
+  assert.throws(() => load({ TENANTS: '[{"id":"Bad Id","name":"x"}]' }), /TENANTS\[0\]\.id/);
+  assert.throws(() => load({ TENANTS: '[{"id":"a","name":"A_B"}]' }), /TENANTS\[0\]\.sessionPrefix must not contain "_"/);
+  assert.throws(() => load({ TENANTS: '[{"id":"a","name":"A","theme":{"primaryColor":"red"}}]' }), /TENANTS\[0\]\.theme\.primaryColor/);
+  assert.throws(() => load({ TENANTS: '[{"id":"a","name":"A"},{"id":"a","name":"B"}]' }), /used twice/);
+  assert.throws(
+    () => load({ API_KEYS: JSON.stringify([{ name: 'x', key: ACME_KEY, tenant: 'nope' }]) }),
+    /API_KEYS\[0\]\.tenant "nope"/
+  );
+});